@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessions');
+const { hasPermission, getBranchScope } = require('../utils/permissions');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,6 +12,13 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are short-lived, but still stop working as soon as their
+    // session is logged out or revoked
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
@@ -17,6 +26,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -36,4 +46,20 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
+// Authenticate and require a staff permission. Branch-scoped roles get the IDs
+// of their branches in req.branchScope; for everyone else it is null
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ message: `Access denied. ${permission} permission required.` });
+      }
+      req.branchScope = getBranchScope(req.user);
+      next();
+    });
+  } catch (error) {
+    res.status(401).json({ message: 'Authentication failed' });
+  }
+};
+
+module.exports = { auth, adminAuth, requirePermission };
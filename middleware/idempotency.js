@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its stored response are kept
+const getRetentionHours = () => parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+const hashRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Replays the first response for repeated requests carrying the same
+// Idempotency-Key header. Must run after `auth`.
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must not exceed 255 characters' });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.create({
+        user: req.user._id,
+        key,
+        requestHash,
+        expiresAt: new Date(Date.now() + getRetentionHours() * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Seen this key before
+      const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+      if (!existing) {
+        return res.status(409).json({ message: 'Idempotency-Key conflict, please retry' });
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(409).json({ message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status === 'processing') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response once the route sends it; server errors are not stored
+    // so the client can retry with the same key
+    let handled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      handled = true;
+      const saved = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body)) // Plain copy of populated documents
+          }
+        );
+      saved.catch(error => console.error('Idempotency key save error:', error));
+      return originalJson(body);
+    };
+
+    // A response sent some other way, a handler that threw or a dropped
+    // connection leaves nothing to replay; free the key for a retry instead of
+    // answering 409 until it expires
+    const release = () => {
+      if (handled) {
+        return;
+      }
+      handled = true;
+      IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+        .catch(error => console.error('Idempotency key release error:', error));
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({ message: 'Server error while checking Idempotency-Key' });
+  }
+};
+
+module.exports = { idempotency };
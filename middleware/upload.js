@@ -0,0 +1,58 @@
+const multer = require('multer');
+const sharp = require('sharp');
+
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MAX_FILES = 10;
+
+const MAX_IMAGE_SIZE_MB = Number(process.env.MAX_IMAGE_SIZE_MB) || 5;
+
+// Files are kept in memory and handed to the storage backend from there
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_FILES);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Each image must be at most ${MAX_IMAGE_SIZE_MB} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Only JPEG, PNG and WebP images can be uploaded in the "images" field'
+};
+
+// Accept up to MAX_FILES images in the "images" field. The declared type is
+// checked by multer and the contents by sharp, so a renamed file is rejected
+const uploadCarImages = (req, res, next) => {
+  upload(req, res, async (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: UPLOAD_ERRORS[error.code] || error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'At least one image is required' });
+    }
+
+    for (const file of req.files) {
+      const format = await sharp(file.buffer).metadata().then(meta => meta.format, () => null);
+      if (!Object.values(ALLOWED_TYPES).includes(format)) {
+        return res.status(400).json({ message: `${file.originalname} is not a valid image` });
+      }
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadCarImages };
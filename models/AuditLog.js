@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Who changed what and when. Entries are append-only: updates and deletes are
+// rejected at the model level
+const auditLogSchema = new mongoose.Schema({
+  // Empty for system actions such as payment webhooks
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields only; `before` is empty on create and `after` on delete
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { combineDateTime, formatInTimezone, getBusinessTimezone } = require('../utils/dates');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
 
 const bookingSchema = new mongoose.Schema({
   user: {
@@ -27,6 +29,9 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: [true, 'End time is required']
   },
+  // Start and end instants (UTC) combined from the business-timezone date and time fields
+  startAt: Date,
+  endAt: Date,
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -41,23 +46,99 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Itemized price from the pricing engine
+  priceBreakdown: [{
+    _id: false,
+    label: String,
+    amount: Number
+  }],
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountAmount: Number
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: BOOKING_STATUSES,
     default: 'pending'
   },
+  // Every status change, oldest first; see utils/bookingStatus for the rules
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: BOOKING_STATUSES
+    },
+    to: {
+      type: String,
+      enum: BOOKING_STATUSES,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Empty for changes made by the system, e.g. a payment webhook
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'mock', 'cash'],
+    default: 'razorpay'
+  },
+  // Gateway payment and order IDs; named after Razorpay but filled in by
+  // whichever payment provider handled the booking
   razorpayPaymentId: {
     type: String,
     required: false // Not required until payment is made
   },
   razorpayOrderId: {
     type: String,
-    required: false // Not required until payment is made
+    required: false, // Not required until payment is made
+    unique: true,
+    sparse: true // One booking per Razorpay order
+  },
+  refund: {
+    razorpayRefundId: String,
+    amount: {
+      type: Number,
+      min: [0, 'Refund amount cannot be negative']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed']
+    },
+    requestedAt: Date,
+    processedAt: Date,
+    // One refund per payment refunded; a changed booking may have been paid
+    // in several parts
+    parts: [{
+      _id: false,
+      paymentId: String,
+      razorpayRefundId: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed']
+      },
+      requestedAt: Date,
+      processedAt: Date
+    }]
   },
   pickupLocation: {
     type: String,
@@ -67,21 +148,115 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Dropoff location is required']
   },
+  pickupBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  dropoffBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   specialRequests: {
     type: String,
     maxlength: [200, 'Special requests cannot exceed 200 characters']
   },
+  pickupReminderSentAt: {
+    type: Date
+  },
+  // Closed automatically in a way staff should check, e.g. a paid booking
+  // whose pickup was never recorded; cleared once reviewed
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  // Applied changes to the rental window, oldest first; see utils/modification
+  modifications: [{
+    type: {
+      type: String,
+      enum: ['reschedule', 'extension'],
+      required: true
+    },
+    previous: {
+      startAt: Date,
+      endAt: Date,
+      totalAmount: Number
+    },
+    startAt: Date,
+    endAt: Date,
+    totalAmount: Number,
+    // Positive when the customer paid extra, negative when the surplus was refunded
+    difference: Number,
+    priceBreakdown: [{
+      _id: false,
+      label: String,
+      amount: Number
+    }],
+    // Payment of the difference, when one was collected online
+    paymentProvider: {
+      type: String,
+      enum: ['razorpay', 'mock', 'cash']
+    },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    refunds: [{
+      _id: false,
+      paymentId: String,
+      razorpayRefundId: String,
+      amount: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed']
+      },
+      requestedAt: Date,
+      processedAt: Date
+    }],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   bookingId: {
     type: String,
     unique: true,
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  id: false
 });
 
-// Generate booking ID before saving
-bookingSchema.pre('save', function(next) {
+// Start and end in the business timezone alongside the stored UTC instants
+bookingSchema.virtual('local').get(function() {
+  return {
+    timezone: getBusinessTimezone(),
+    startAt: formatInTimezone(this.startAt),
+    endAt: formatInTimezone(this.endAt)
+  };
+});
+
+// Keep the combined start/end instants in sync with the date and time fields
+bookingSchema.pre('validate', function(next) {
+  if (this.startDate && this.startTime) {
+    this.startAt = combineDateTime(this.startDate, this.startTime);
+  }
+  if (this.endDate && this.endTime) {
+    this.endAt = combineDateTime(this.endDate, this.endTime);
+  }
+  next();
+});
+
+bookingSchema.index({ car: 1, status: 1, startAt: 1, endAt: 1 });
+bookingSchema.index({ 'modifications.razorpayOrderId': 1 }, { sparse: true });
+bookingSchema.index({ 'modifications.refunds.razorpayRefundId': 1 }, { sparse: true });
+bookingSchema.index({ 'refund.parts.razorpayRefundId': 1 }, { sparse: true });
+
+// Generate booking ID before validation, which requires it
+bookingSchema.pre('validate', function(next) {
   if (!this.bookingId) {
     this.bookingId = 'CG' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
   }
@@ -90,8 +265,8 @@ bookingSchema.pre('save', function(next) {
 
 // Validate date range
 bookingSchema.pre('save', function(next) {
-  if (this.startDate >= this.endDate) {
-    next(new Error('End date must be after start date'));
+  if (this.startAt >= this.endAt) {
+    return next(new Error('End date and time must be after start date and time'));
   }
   next();
 });
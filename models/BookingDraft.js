@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { combineDateTime, formatInTimezone, getBusinessTimezone } = require('../utils/dates');
+
+// Booking details captured when a payment order is created. The booking is
+// built from this record, never from what the client sends back after paying.
+const bookingDraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required']
+  },
+  // Start and end instants (UTC) combined from the business-timezone date and time fields
+  startAt: Date,
+  endAt: Date,
+  bookingType: {
+    type: String,
+    enum: ['hourly', 'daily'],
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  // Itemized price from the pricing engine
+  priceBreakdown: [{
+    _id: false,
+    label: String,
+    amount: Number
+  }],
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountAmount: Number
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  pickupLocation: {
+    type: String,
+    required: [true, 'Pickup location is required']
+  },
+  dropoffLocation: {
+    type: String,
+    required: [true, 'Dropoff location is required']
+  },
+  pickupBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  dropoffBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  specialRequests: {
+    type: String,
+    maxlength: [200, 'Special requests cannot exceed 200 characters']
+  },
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'mock', 'cash'],
+    default: 'razorpay'
+  },
+  // Set when the draft holds a change to an existing booking rather than a
+  // new one; amountDue is then the difference being paid
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  modificationType: {
+    type: String,
+    enum: ['reschedule', 'extension']
+  },
+  amountDue: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  razorpayOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Start and end in the business timezone alongside the stored UTC instants
+bookingDraftSchema.virtual('local').get(function() {
+  return {
+    timezone: getBusinessTimezone(),
+    startAt: formatInTimezone(this.startAt),
+    endAt: formatInTimezone(this.endAt)
+  };
+});
+
+// Keep the combined start/end instants in sync with the date and time fields
+bookingDraftSchema.pre('validate', function(next) {
+  if (this.startDate && this.startTime) {
+    this.startAt = combineDateTime(this.startDate, this.startTime);
+  }
+  if (this.endDate && this.endTime) {
+    this.endAt = combineDateTime(this.endDate, this.endTime);
+  }
+  next();
+});
+
+// Validate date range
+bookingDraftSchema.pre('save', function(next) {
+  if (this.startAt >= this.endAt) {
+    return next(new Error('End date and time must be after start date and time'));
+  }
+  next();
+});
+
+// Let MongoDB remove drafts once they expire
+bookingDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bookingDraftSchema.index({ car: 1, startAt: 1, endAt: 1 });
+
+bookingDraftSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('BookingDraft', bookingDraftSchema);
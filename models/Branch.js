@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { getZonedParts } = require('../utils/dates');
+
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    match: [/^[6-9]\d{9}$/, 'Please enter a valid Indian phone number']
+  },
+  // GeoJSON point; coordinates are [longitude, latitude]
+  coordinates: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => value.length === 2,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  // Opening hours per weekday (0 = Sunday) in the business timezone; a day
+  // without an entry is closed, and a branch without any entries is always open
+  openingHours: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    open: {
+      type: String,
+      required: true,
+      match: [timePattern, 'Opening time must be in HH:MM format']
+    },
+    close: {
+      type: String,
+      required: true,
+      match: [timePattern, 'Closing time must be in HH:MM format']
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+branchSchema.index({ city: 1, isActive: 1 });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether the branch is open at the given instant
+branchSchema.methods.isOpenAt = function(instant) {
+  if (!this.openingHours || this.openingHours.length === 0) {
+    return true;
+  }
+  const local = getZonedParts(instant);
+  const minutes = local.hour * 60 + local.minute;
+  return this.openingHours.some(hours => (
+    hours.dayOfWeek === local.weekday &&
+    minutes >= toMinutes(hours.open) &&
+    minutes <= toMinutes(hours.close)
+  ));
+};
+
+module.exports = mongoose.model('Branch', branchSchema);
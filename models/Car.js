@@ -54,10 +54,36 @@ const carSchema = new mongoose.Schema({
     min: [2, 'Minimum 2 seats required'],
     max: [8, 'Maximum 8 seats allowed']
   },
+  // URL of the primary image, kept for clients that show a single photo
   image: {
-    type: String,
-    required: [true, 'Car image is required']
+    type: String
   },
+  // Uploaded photos in display order; keys identify them in the image storage
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    thumbnailUrl: String,
+    key: {
+      type: String,
+      required: true
+    },
+    thumbnailKey: String,
+    storage: {
+      type: String,
+      enum: ['local', 'cloudinary'],
+      required: true
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false
+    }
+  }],
   features: [{
     type: String,
     trim: true
@@ -75,22 +101,107 @@ const carSchema = new mongoose.Schema({
     required: [true, 'Location is required'],
     trim: true
   },
+  // Branch the car belongs to, and where it was last returned
+  homeBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  currentBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Pickup point as a GeoJSON point; coordinates are [longitude, latitude].
+  // Taken from the branch the car moves to, or set by an admin
+  coordinates: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => value.length === 2,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
   rating: {
     type: Number,
     default: 0,
     min: 0,
     max: 5
   },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   totalBookings: {
     type: Number,
     default: 0
+  },
+  odometer: {
+    type: Number,
+    default: 0,
+    min: [0, 'Odometer cannot be negative']
+  },
+  // Next service falls due by date or odometer reading, whichever comes first
+  serviceSchedule: {
+    intervalDays: {
+      type: Number,
+      min: [1, 'Service interval must be at least 1 day']
+    },
+    intervalKm: {
+      type: Number,
+      min: [1, 'Service interval must be at least 1 km']
+    },
+    lastServiceDate: Date,
+    lastServiceOdometer: Number,
+    nextServiceDate: Date,
+    nextServiceOdometer: Number
   }
 }, {
   timestamps: true
 });
 
+// Work out when the next service is due from the last one and the intervals
+carSchema.pre('save', function(next) {
+  const schedule = this.serviceSchedule;
+  if (schedule) {
+    schedule.nextServiceDate = schedule.intervalDays && schedule.lastServiceDate
+      ? new Date(schedule.lastServiceDate.getTime() + schedule.intervalDays * 24 * 60 * 60 * 1000)
+      : undefined;
+    schedule.nextServiceOdometer = schedule.intervalKm && schedule.lastServiceOdometer !== undefined
+      ? schedule.lastServiceOdometer + schedule.intervalKm
+      : undefined;
+  }
+  next();
+});
+
+// Keep the gallery in display order with exactly one primary image, and
+// mirror that image's URL in `image`
+carSchema.pre('save', function(next) {
+  if (this.isModified('images') && this.images.length === 0) {
+    this.image = undefined;
+  } else if (this.isModified('images')) {
+    this.images.sort((a, b) => a.order - b.order);
+    this.images.forEach((image, index) => {
+      image.order = index;
+    });
+
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach(image => {
+      image.isPrimary = image === primary;
+    });
+    this.image = primary.url;
+  }
+  next();
+});
+
 // Index for search functionality
 carSchema.index({ title: 'text', brand: 'text', model: 'text' });
 carSchema.index({ brand: 1, fuelType: 1, pricePerDay: 1 });
+carSchema.index({ 'serviceSchedule.nextServiceDate': 1 });
+carSchema.index({ coordinates: '2dsphere' });
 
 module.exports = mongoose.model('Car', carSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Short-lived per-car lock taken while checking for overlaps and writing a
+// booking or hold, so concurrent requests for the same car are serialized
+const carLockSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Clean up locks left behind by a crashed process
+carLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CarLock', carLockSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Max discount cannot be negative']
+  },
+  minBookingAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum booking amount cannot be negative']
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required']
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Valid until date is required']
+  },
+  // Total redemptions allowed; unlimited when not set
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  // Incremented only once a booking paid with the coupon is confirmed
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Optional restrictions; empty means no restriction
+  cars: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  locations: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Validate date range
+couponSchema.pre('validate', function(next) {
+  if (this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
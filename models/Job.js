@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Persisted state of a background job. The lock fields make sure only one
+// server instance runs a job at a time, and nextRunAt survives restarts
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  // Who started the last run by hand; empty for scheduled runs
+  lastTriggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Job', jobSchema);
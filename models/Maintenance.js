@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Service or repair window during which a car cannot be booked
+const maintenanceSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['service', 'repair', 'inspection', 'other'],
+    required: [true, 'Maintenance type is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  startAt: {
+    type: Date,
+    required: [true, 'Start is required']
+  },
+  endAt: {
+    type: Date,
+    required: [true, 'End is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Odometer reading recorded when the work is completed
+  odometer: {
+    type: Number,
+    min: [0, 'Odometer cannot be negative']
+  },
+  // Bookings the admin chose to override when scheduling
+  overriddenBookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+maintenanceSchema.index({ car: 1, status: 1, startAt: 1, endAt: 1 });
+
+// Validate date range
+maintenanceSchema.pre('save', function(next) {
+  if (this.startAt >= this.endAt) {
+    return next(new Error('End must be after start'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Maintenance', maintenanceSchema);
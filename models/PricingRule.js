@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Admin-managed adjustment applied by the pricing engine (utils/pricing.js)
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: ['weekend_surcharge', 'holiday_surcharge', 'peak_hour', 'long_rental_discount', 'minimum_duration']
+  },
+  // Surcharge or discount in percent of the base rate
+  adjustmentPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Adjustment cannot be negative'],
+    max: [500, 'Adjustment cannot exceed 500%']
+  },
+  // Weekend and peak-hour rules: days the rule applies to (0 = Sunday)
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Holiday rules: dates as YYYY-MM-DD
+  dates: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Dates must be in YYYY-MM-DD format']
+  }],
+  // Peak-hour rules: hours [startHour, endHour)
+  startHour: {
+    type: Number,
+    min: 0,
+    max: 23
+  },
+  endHour: {
+    type: Number,
+    min: 1,
+    max: 24
+  },
+  // Long-rental discounts: rental length that qualifies;
+  // minimum-duration rules: the least billable days
+  minDays: {
+    type: Number,
+    min: 0
+  },
+  // Minimum-duration rules: the least billable hours
+  minHours: {
+    type: Number,
+    min: 0
+  },
+  // Booking types the rule applies to; empty means all
+  bookingTypes: [{
+    type: String,
+    enum: ['hourly', 'daily']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.index({ isActive: 1, type: 1 });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true // One review per booking
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenReason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ car: 1, isHidden: 1, createdAt: -1 });
+
+// Recompute the car's average rating and review count from its visible reviews
+reviewSchema.statics.updateCarRating = async function(carId) {
+  const [result] = await this.aggregate([
+    { $match: { car: new mongoose.Types.ObjectId(carId), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Car').findByIdAndUpdate(carId, {
+    rating: result ? Math.round(result.average * 10) / 10 : 0,
+    reviewCount: result ? result.count : 0
+  });
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,12 +28,34 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  // Branches a branch-scoped staff member works at
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // New address waiting for verification; `email` changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true
+  },
+  // Set when the user deletes their account; the record is kept, anonymised,
+  // for the booking history
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true
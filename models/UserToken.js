@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to users by email. Only a hash of the token is
+// stored, so a leaked database can't be used to reset passwords
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'email_change'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the token was sent to, for email verification and email changes
+  email: {
+    type: String,
+    lowercase: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, type: 1 });
+
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
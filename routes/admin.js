@@ -1,21 +1,49 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Car = require('../models/Car');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const { adminAuth } = require('../middleware/auth');
+const Review = require('../models/Review');
+const PricingRule = require('../models/PricingRule');
+const Coupon = require('../models/Coupon');
+const Maintenance = require('../models/Maintenance');
+const Branch = require('../models/Branch');
+const AuditLog = require('../models/AuditLog');
+const { toPoint, branchPoint, moveCarToBranch } = require('../utils/branches');
+const { requirePermission } = require('../middleware/auth');
+const { uploadCarImages } = require('../middleware/upload');
+const { getStorage, removeImage } = require('../utils/storage');
+const { idempotency } = require('../middleware/idempotency');
+const { cancelBooking } = require('../utils/cancellation');
+const { combineDateTime, getZonedParts, getBusinessTimezone, parseInstant } = require('../utils/dates');
+const { overlapFilter } = require('../utils/bookings');
+const { withCarLock } = require('../utils/carLock');
+const { BOOKING_STATUSES, ACTIVE_BOOKING_STATUSES, transitionBooking } = require('../utils/bookingStatus');
+const { revokeAllSessions } = require('../utils/sessions');
+const { isLastActiveAdmin } = require('../utils/users');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { getJobStatuses, triggerJob, setJobEnabled } = require('../utils/jobs');
+const {
+  ROLE_PERMISSIONS,
+  BRANCH_SCOPED_ROLES,
+  hasPermission,
+  bookingScopeFilter,
+  carScopeFilter,
+  isBookingInScope
+} = require('../utils/permissions');
 
 const router = express.Router();
 
 // Get dashboard stats
-router.get('/dashboard', adminAuth, async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const totalCars = await Car.countDocuments();
     const totalUsers = await User.countDocuments({ role: 'user' });
     const totalBookings = await Booking.countDocuments();
     const activeBookings = await Booking.countDocuments({ 
-      status: { $in: ['confirmed', 'pending'] } 
+      status: { $in: ACTIVE_BOOKING_STATUSES } 
     });
+    const bookingsNeedingReview = await Booking.countDocuments({ needsReview: true });
 
     // Calculate total revenue
     const revenueResult = await Booking.aggregate([
@@ -35,12 +63,12 @@ router.get('/dashboard', adminAuth, async (req, res) => {
     const monthlyStats = await Booking.aggregate([
       {
         $match: {
-          createdAt: { $gte: new Date(new Date().getFullYear(), 0, 1) }
+          createdAt: { $gte: combineDateTime(`${getZonedParts(new Date()).year}-01-01`, '00:00') }
         }
       },
       {
         $group: {
-          _id: { $month: '$createdAt' },
+          _id: { $month: { date: '$createdAt', timezone: getBusinessTimezone() } },
           count: { $sum: 1 },
           revenue: { $sum: '$totalAmount' }
         }
@@ -48,16 +76,34 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
+    // Cars whose next service falls due soon, by date or by odometer
+    const dueWindowDays = parseInt(process.env.SERVICE_DUE_WINDOW_DAYS, 10) || 14;
+    const dueWindowKm = parseInt(process.env.SERVICE_DUE_WINDOW_KM, 10) || 500;
+    const upcomingServiceDue = await Car.find({
+      $or: [
+        { 'serviceSchedule.nextServiceDate': { $lte: new Date(Date.now() + dueWindowDays * 24 * 60 * 60 * 1000) } },
+        {
+          'serviceSchedule.nextServiceOdometer': { $exists: true, $ne: null },
+          $expr: { $lte: [{ $subtract: ['$serviceSchedule.nextServiceOdometer', '$odometer'] }, dueWindowKm] }
+        }
+      ]
+    })
+      .select('title brand model odometer serviceSchedule')
+      .sort({ 'serviceSchedule.nextServiceDate': 1 })
+      .limit(20);
+
     res.json({
       stats: {
         totalCars,
         totalUsers,
         totalBookings,
         activeBookings,
+        bookingsNeedingReview,
         totalRevenue
       },
       recentBookings,
-      monthlyStats
+      monthlyStats,
+      upcomingServiceDue
     });
   } catch (error) {
     console.error('Dashboard error:', error);
@@ -66,7 +112,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
 });
 
 // Add new car
-router.post('/cars', adminAuth, [
+router.post('/cars', requirePermission('cars:write'), [
   body('title').trim().isLength({ min: 1 }).withMessage('Title is required'),
   body('brand').trim().isLength({ min: 1 }).withMessage('Brand is required'),
   body('model').trim().isLength({ min: 1 }).withMessage('Model is required'),
@@ -76,9 +122,13 @@ router.post('/cars', adminAuth, [
   body('fuelType').isIn(['Petrol', 'Diesel', 'Electric', 'Hybrid', 'CNG']).withMessage('Invalid fuel type'),
   body('transmission').isIn(['Manual', 'Automatic']).withMessage('Invalid transmission type'),
   body('mileage').isFloat({ min: 0 }).withMessage('Mileage must be non-negative'),
+  body('odometer').optional().isFloat({ min: 0 }).withMessage('Odometer must be non-negative'),
   body('seats').isInt({ min: 2, max: 8 }).withMessage('Seats must be between 2 and 8'),
-  body('image').isURL().withMessage('Image must be a valid URL'),
-  body('location').trim().isLength({ min: 1 }).withMessage('Location is required')
+  body('image').optional().isURL().withMessage('Image must be a valid URL'),
+  body('homeBranch').isMongoId().withMessage('Home branch is required'),
+  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -86,8 +136,24 @@ router.post('/cars', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const car = new Car(req.body);
+    const branch = await Branch.findOne({ _id: req.body.homeBranch, isActive: true });
+    if (!branch) {
+      return res.status(400).json({ message: 'Home branch not found or inactive' });
+    }
+
+    // New cars start at their home branch, and are picked up there unless
+    // given their own coordinates
+    const { latitude, longitude, coordinates, images, ...carData } = req.body;
+    const car = new Car({
+      ...carData,
+      location: carData.location || branch.city,
+      currentBranch: branch._id,
+      coordinates: latitude !== undefined && longitude !== undefined
+        ? toPoint(latitude, longitude)
+        : branchPoint(branch)
+    });
     await car.save();
+    await recordAudit(req, { action: 'car.create', entityType: 'Car', entityId: car._id, after: car });
 
     res.status(201).json({
       message: 'Car added successfully',
@@ -100,7 +166,7 @@ router.post('/cars', adminAuth, [
 });
 
 // Update car
-router.put('/cars/:id', adminAuth, [
+router.put('/cars/:id', requirePermission('cars:write'), [
   body('title').optional().trim().isLength({ min: 1 }).withMessage('Title cannot be empty'),
   body('brand').optional().trim().isLength({ min: 1 }).withMessage('Brand cannot be empty'),
   body('model').optional().trim().isLength({ min: 1 }).withMessage('Model cannot be empty'),
@@ -110,9 +176,14 @@ router.put('/cars/:id', adminAuth, [
   body('fuelType').optional().isIn(['Petrol', 'Diesel', 'Electric', 'Hybrid', 'CNG']).withMessage('Invalid fuel type'),
   body('transmission').optional().isIn(['Manual', 'Automatic']).withMessage('Invalid transmission type'),
   body('mileage').optional().isFloat({ min: 0 }).withMessage('Mileage must be non-negative'),
+  body('odometer').optional().isFloat({ min: 0 }).withMessage('Odometer must be non-negative'),
   body('seats').optional().isInt({ min: 2, max: 8 }).withMessage('Seats must be between 2 and 8'),
   body('image').optional().isURL().withMessage('Image must be a valid URL'),
-  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty')
+  body('location').optional().trim().isLength({ min: 1 }).withMessage('Location cannot be empty'),
+  body('homeBranch').optional().isMongoId().withMessage('Invalid home branch'),
+  body('currentBranch').optional().isMongoId().withMessage('Invalid current branch'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,9 +191,34 @@ router.put('/cars/:id', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const car = await Car.findByIdAndUpdate(
+    const { latitude, longitude, coordinates, images, ...update } = req.body;
+
+    const branches = {};
+    for (const field of ['homeBranch', 'currentBranch']) {
+      if (update[field]) {
+        branches[field] = await Branch.findOne({ _id: update[field], isActive: true });
+        if (!branches[field]) {
+          return res.status(400).json({ message: `${field === 'homeBranch' ? 'Home' : 'Current'} branch not found or inactive` });
+        }
+      }
+    }
+
+    // Explicit coordinates win; otherwise a moved car takes its new branch's
+    if (latitude !== undefined && longitude !== undefined) {
+      update.coordinates = toPoint(latitude, longitude);
+    } else if (branches.currentBranch) {
+      const point = branchPoint(branches.currentBranch);
+      if (point) {
+        update.coordinates = point;
+      } else {
+        update.$unset = { coordinates: 1 };
+      }
+    }
+
+    const before = await Car.findById(req.params.id);
+    const car = before && await Car.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -130,6 +226,8 @@ router.put('/cars/:id', adminAuth, [
       return res.status(404).json({ message: 'Car not found' });
     }
 
+    await recordAudit(req, { action: 'car.update', entityType: 'Car', entityId: car._id, before, after: car });
+
     res.json({
       message: 'Car updated successfully',
       car
@@ -144,12 +242,12 @@ router.put('/cars/:id', adminAuth, [
 });
 
 // Delete car
-router.delete('/cars/:id', adminAuth, async (req, res) => {
+router.delete('/cars/:id', requirePermission('cars:delete'), async (req, res) => {
   try {
     // Check if car has active bookings
     const activeBookings = await Booking.countDocuments({
       car: req.params.id,
-      status: { $in: ['confirmed', 'pending'] }
+      status: { $in: ACTIVE_BOOKING_STATUSES }
     });
 
     if (activeBookings > 0) {
@@ -164,6 +262,13 @@ router.delete('/cars/:id', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'Car not found' });
     }
 
+    // The car is gone either way, so a failed file cleanup is only logged
+    await Promise.all(car.images.map(image => removeImage(image).catch(error => {
+      console.error('Delete car image error:', error);
+    })));
+
+    await recordAudit(req, { action: 'car.delete', entityType: 'Car', entityId: car._id, before: car });
+
     res.json({ message: 'Car deleted successfully' });
   } catch (error) {
     console.error('Delete car error:', error);
@@ -174,15 +279,430 @@ router.delete('/cars/:id', adminAuth, async (req, res) => {
   }
 });
 
+const MAX_CAR_IMAGES = 20;
+
+// Get the photo gallery of a car
+router.get('/cars/:id/images', requirePermission('cars:read'), async (req, res) => {
+  try {
+    const car = await Car.findOne({ _id: req.params.id, ...carScopeFilter(req.branchScope) }).select('image images');
+
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    res.json({ images: car.images });
+  } catch (error) {
+    console.error('Get car images error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching car images' });
+  }
+});
+
+// Upload photos to a car's gallery; they are added at the end, and the first
+// photo of a car becomes its primary image
+router.post('/cars/:id/images', requirePermission('cars:write'), uploadCarImages, async (req, res) => {
+  const uploaded = [];
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const before = snapshot(car);
+
+    if (car.images.length + req.files.length > MAX_CAR_IMAGES) {
+      return res.status(400).json({
+        message: `A car can have at most ${MAX_CAR_IMAGES} images (it has ${car.images.length})`
+      });
+    }
+
+    const storage = getStorage();
+    for (const file of req.files) {
+      const stored = await storage.save(file.buffer, { folder: `cars/${car._id}` });
+      uploaded.push({ ...stored, storage: storage.name });
+    }
+
+    const nextOrder = car.images.length;
+    uploaded.forEach((image, index) => {
+      car.images.push({ ...image, order: nextOrder + index });
+    });
+    await car.save();
+    await recordAudit(req, { action: 'car.images.add', entityType: 'Car', entityId: car._id, before, after: car });
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      images: car.images
+    });
+  } catch (error) {
+    console.error('Upload car images error:', error);
+    // Don't leave files behind for images that were never added to the car
+    await Promise.all(uploaded.map(image => removeImage(image).catch(() => {})));
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while uploading car images' });
+  }
+});
+
+// Reorder a car's gallery; the IDs must list every image of the car
+router.put('/cars/:id/images/order', requirePermission('cars:write'), [
+  body('imageIds').isArray({ min: 1 }).withMessage('Image IDs must be a non-empty array'),
+  body('imageIds.*').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const before = snapshot(car);
+
+    const { imageIds } = req.body;
+    const current = car.images.map(image => image._id.toString());
+    if (imageIds.length !== current.length ||
+        new Set(imageIds).size !== imageIds.length ||
+        !imageIds.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'Image IDs must list every image of the car exactly once' });
+    }
+
+    imageIds.forEach((id, index) => {
+      car.images.id(id).order = index;
+    });
+    await car.save();
+    await recordAudit(req, { action: 'car.images.reorder', entityType: 'Car', entityId: car._id, before, after: car });
+
+    res.json({
+      message: 'Images reordered successfully',
+      images: car.images
+    });
+  } catch (error) {
+    console.error('Reorder car images error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while reordering car images' });
+  }
+});
+
+// Make an image the car's primary image
+router.patch('/cars/:id/images/:imageId/primary', requirePermission('cars:write'), async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const before = snapshot(car);
+
+    const image = car.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    car.images.forEach(other => {
+      other.isPrimary = other === image;
+    });
+    await car.save();
+    await recordAudit(req, { action: 'car.images.set_primary', entityType: 'Car', entityId: car._id, before, after: car });
+
+    res.json({
+      message: 'Primary image updated successfully',
+      images: car.images
+    });
+  } catch (error) {
+    console.error('Set primary car image error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car or image ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating primary image' });
+  }
+});
+
+// Delete an image; if it was the primary image the next one takes its place
+router.delete('/cars/:id/images/:imageId', requirePermission('cars:write'), async (req, res) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const before = snapshot(car);
+
+    const image = car.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    image.deleteOne();
+    await car.save();
+    await recordAudit(req, { action: 'car.images.delete', entityType: 'Car', entityId: car._id, before, after: car });
+
+    // A file left behind is harmless, so only log a failed removal
+    await removeImage(image).catch(error => {
+      console.error('Delete car image file error:', error);
+    });
+
+    res.json({
+      message: 'Image deleted successfully',
+      images: car.images
+    });
+  } catch (error) {
+    console.error('Delete car image error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car or image ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting car image' });
+  }
+});
+
+// Get maintenance windows of a car
+router.get('/cars/:id/maintenance', requirePermission('maintenance:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (req.branchScope && !(await Car.exists({ _id: req.params.id, ...carScopeFilter(req.branchScope) }))) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    let filter = { car: req.params.id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const maintenance = await Maintenance.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ startAt: -1 });
+
+    res.json({ maintenance });
+  } catch (error) {
+    console.error('Get maintenance error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching maintenance' });
+  }
+});
+
+// Schedule maintenance for a car
+router.post('/cars/:id/maintenance', requirePermission('maintenance:write'), [
+  body('type').isIn(['service', 'repair', 'inspection', 'other']).withMessage('Invalid maintenance type'),
+  body('startAt').isISO8601().withMessage('Start must be a valid date'),
+  body('endAt').isISO8601().withMessage('End must be a valid date'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('override').optional().isBoolean().withMessage('override must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const { type, description } = req.body;
+    const override = req.body.override === true || req.body.override === 'true';
+    const startAt = parseInstant(req.body.startAt);
+    const endAt = parseInstant(req.body.endAt);
+
+    if (endAt <= startAt) {
+      return res.status(400).json({ message: 'End must be after start' });
+    }
+
+    // Under the car's lock so no booking slips in between the check and the save
+    const result = await withCarLock(car._id, async () => {
+      const conflictingBookings = await Booking.find({
+        car: car._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        ...overlapFilter(startAt, endAt)
+      }).select('bookingId startAt endAt startDate endDate status');
+
+      if (conflictingBookings.length && !override) {
+        return { conflictingBookings };
+      }
+
+      const maintenance = new Maintenance({
+        car: car._id,
+        type,
+        description,
+        startAt,
+        endAt,
+        overriddenBookings: conflictingBookings.map(b => b._id),
+        createdBy: req.user._id
+      });
+      await maintenance.save();
+      return { maintenance, conflictingBookings };
+    });
+
+    if (!result.maintenance) {
+      return res.status(409).json({
+        message: 'Maintenance conflicts with existing bookings. Resend with override to schedule anyway.',
+        conflictingBookings: result.conflictingBookings
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'maintenance.create',
+      entityType: 'Maintenance',
+      entityId: result.maintenance._id,
+      after: result.maintenance,
+      metadata: { car: car._id, overriddenBookings: result.maintenance.overriddenBookings }
+    });
+
+    res.status(201).json({
+      message: 'Maintenance scheduled successfully',
+      maintenance: result.maintenance,
+      overriddenBookings: result.conflictingBookings
+    });
+  } catch (error) {
+    console.error('Schedule maintenance error:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while scheduling maintenance' });
+  }
+});
+
+// Update maintenance status
+router.patch('/cars/:id/maintenance/:maintenanceId', requirePermission('maintenance:write'), [
+  body('status').isIn(['scheduled', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status'),
+  body('odometer').optional().isFloat({ min: 0 }).withMessage('Odometer must be non-negative'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const maintenance = await Maintenance.findOne({ _id: req.params.maintenanceId, car: req.params.id });
+    if (!maintenance) {
+      return res.status(404).json({ message: 'Maintenance not found' });
+    }
+
+    if (['completed', 'cancelled'].includes(maintenance.status)) {
+      return res.status(400).json({ message: `Maintenance is already ${maintenance.status}` });
+    }
+
+    const before = snapshot(maintenance);
+    const { status, odometer, description } = req.body;
+    maintenance.status = status;
+    if (odometer !== undefined) maintenance.odometer = odometer;
+    if (description !== undefined) maintenance.description = description;
+
+    // Finishing early frees the car from now on
+    if (status === 'completed' && maintenance.endAt > new Date()) {
+      maintenance.endAt = new Date(Math.max(Date.now(), maintenance.startAt.getTime() + 1000));
+    }
+    await maintenance.save();
+
+    // A completed service restarts the car's service schedule
+    if (status === 'completed') {
+      const car = await Car.findById(maintenance.car);
+      if (car) {
+        if (odometer !== undefined && Number(odometer) > car.odometer) {
+          car.odometer = Number(odometer);
+        }
+        if (maintenance.type === 'service') {
+          car.serviceSchedule = car.serviceSchedule || {};
+          car.serviceSchedule.lastServiceDate = new Date();
+          car.serviceSchedule.lastServiceOdometer = car.odometer;
+        }
+        await car.save();
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'maintenance.update',
+      entityType: 'Maintenance',
+      entityId: maintenance._id,
+      before,
+      after: maintenance
+    });
+
+    res.json({
+      message: 'Maintenance updated successfully',
+      maintenance
+    });
+  } catch (error) {
+    console.error('Update maintenance error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid maintenance ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating maintenance' });
+  }
+});
+
+// Set a car's service schedule
+router.put('/cars/:id/service-schedule', requirePermission('maintenance:write'), [
+  body('intervalDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Service interval must be at least 1 day'),
+  body('intervalKm').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Service interval must be at least 1 km'),
+  body('lastServiceDate').optional().isISO8601().withMessage('Last service date must be a valid date'),
+  body('lastServiceOdometer').optional().isFloat({ min: 0 }).withMessage('Last service odometer must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const before = snapshot(car);
+    const { intervalDays, intervalKm, lastServiceDate, lastServiceOdometer } = req.body;
+    car.serviceSchedule = car.serviceSchedule || {};
+    if (intervalDays !== undefined) car.serviceSchedule.intervalDays = intervalDays;
+    if (intervalKm !== undefined) car.serviceSchedule.intervalKm = intervalKm;
+    if (lastServiceDate !== undefined) car.serviceSchedule.lastServiceDate = parseInstant(lastServiceDate);
+    if (lastServiceOdometer !== undefined) car.serviceSchedule.lastServiceOdometer = lastServiceOdometer;
+    await car.save();
+    await recordAudit(req, { action: 'car.service_schedule.update', entityType: 'Car', entityId: car._id, before, after: car });
+
+    res.json({
+      message: 'Service schedule updated successfully',
+      car
+    });
+  } catch (error) {
+    console.error('Update service schedule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating service schedule' });
+  }
+});
+
 // Get all bookings for admin
-router.get('/bookings', adminAuth, async (req, res) => {
+router.get('/bookings', requirePermission('bookings:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, startDate, endDate } = req.query;
+    const { page = 1, limit = 10, status, startDate, endDate, needsReview } = req.query;
 
-    let filter = {};
+    // Branch staff only see bookings picked up or dropped off at their branches
+    let filter = bookingScopeFilter(req.branchScope);
     if (status) {
       filter.status = status;
     }
+    if (needsReview === 'true') {
+      filter.needsReview = true;
+    }
     if (startDate && endDate) {
       filter.createdAt = {
         $gte: new Date(startDate),
@@ -217,9 +737,40 @@ router.get('/bookings', adminAuth, async (req, res) => {
   }
 });
 
-// Update booking status
-router.patch('/bookings/:id/status', adminAuth, [
-  body('status').isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid status')
+// Mark a booking flagged for review (see utils/jobs/bookingJobs) as reviewed
+router.patch('/bookings/:id/review', requirePermission('bookings:write'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || !isBookingInScope(booking, req.branchScope)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!booking.needsReview) {
+      return res.status(400).json({ message: 'Booking is not awaiting review' });
+    }
+
+    const before = snapshot(booking);
+    booking.needsReview = false;
+    await booking.save();
+
+    await recordAudit(req, { action: 'booking.review', entityType: 'Booking', entityId: booking._id, before, after: booking });
+
+    res.json({ message: 'Booking marked as reviewed', booking });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    console.error('Review booking error:', error);
+    res.status(500).json({ message: 'Server error while reviewing booking' });
+  }
+});
+
+// Update booking status. Only the moves in utils/bookingStatus are allowed,
+// and cancelling or marking a no-show needs a reason
+router.patch('/bookings/:id/status', requirePermission('bookings:write'), idempotency, [
+  body('status').isIn(BOOKING_STATUSES).withMessage('Invalid status'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('forceFullRefund').optional().isBoolean().withMessage('forceFullRefund must be a boolean'),
+  body('paymentCollected').optional().isBoolean().withMessage('paymentCollected must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -227,33 +778,578 @@ router.patch('/bookings/:id/status', adminAuth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status } = req.body;
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate('user', 'name email').populate('car', 'title brand model');
+    const { status, reason } = req.body;
+    const forceFullRefund = req.body.forceFullRefund === true || req.body.forceFullRefund === 'true';
+    const paymentCollected = req.body.paymentCollected === true || req.body.paymentCollected === 'true';
 
-    if (!booking) {
+    if (forceFullRefund && !hasPermission(req.user, 'bookings:refund')) {
+      return res.status(403).json({ message: 'Access denied. bookings:refund permission required.' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || !isBookingInScope(booking, req.branchScope)) {
       return res.status(404).json({ message: 'Booking not found' });
     }
+    const before = snapshot(booking);
+
+    if (status === 'cancelled') {
+      // Refund per the cancellation policy, or in full when the admin asks for it
+      await cancelBooking(booking, { forceFullRefund, reason, changedBy: req.user._id });
+    } else {
+      // Pay-at-pickup bookings are paid when the car is handed over
+      if (status === 'active' && paymentCollected && booking.paymentProvider === 'cash' &&
+          booking.paymentStatus === 'pending') {
+        booking.paymentStatus = 'paid';
+      }
+      transitionBooking(booking, status, { reason, changedBy: req.user._id });
+      await booking.save();
+    }
+
+    await booking.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'car', select: 'title brand model' }
+    ]);
+
+    // A returned car is now at the branch it was dropped off at
+    if (status === 'completed' && booking.dropoffBranch) {
+      await moveCarToBranch(booking.car._id, booking.dropoffBranch);
+    }
+
+    await recordAudit(req, {
+      action: status === 'cancelled' ? 'booking.cancel' : 'booking.status.update',
+      entityType: 'Booking',
+      entityId: booking._id,
+      before,
+      after: booking,
+      metadata: status === 'cancelled' ? { forceFullRefund } : undefined
+    });
 
     res.json({
       message: 'Booking status updated successfully',
       booking
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Update booking status error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
     res.status(500).json({ message: 'Server error while updating booking status' });
   }
 });
 
+// Get reviews for moderation
+router.get('/reviews', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, car, isHidden } = req.query;
+
+    let filter = {};
+    if (car) {
+      filter.car = car;
+    }
+    if (isHidden !== undefined) {
+      filter.isHidden = isHidden === 'true';
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name email')
+      .populate('car', 'title brand model')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalReviews: total,
+        hasNext: skip + reviews.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get admin reviews error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// Hide or restore a review
+router.patch('/reviews/:id/visibility', requirePermission('reviews:moderate'), [
+  body('isHidden').isBoolean().withMessage('isHidden must be a boolean'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const before = snapshot(review);
+    const isHidden = req.body.isHidden === true || req.body.isHidden === 'true';
+    review.isHidden = isHidden;
+    review.hiddenReason = isHidden ? req.body.reason : undefined;
+    review.hiddenBy = isHidden ? req.user._id : undefined;
+    await review.save();
+
+    await Review.updateCarRating(review.car);
+    await recordAudit(req, {
+      action: isHidden ? 'review.hide' : 'review.restore',
+      entityType: 'Review',
+      entityId: review._id,
+      before,
+      after: review
+    });
+
+    res.json({
+      message: isHidden ? 'Review hidden successfully' : 'Review restored successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Update review visibility error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating review' });
+  }
+});
+
+const pricingRuleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    field('type').isIn(['weekend_surcharge', 'holiday_surcharge', 'peak_hour', 'long_rental_discount', 'minimum_duration']).withMessage('Invalid rule type'),
+    body('adjustmentPercent').optional().isFloat({ min: 0, max: 500 }).withMessage('Adjustment must be between 0 and 500'),
+    body('daysOfWeek').optional().isArray().withMessage('Days of week must be an array'),
+    body('daysOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 and 6'),
+    body('dates').optional().isArray().withMessage('Dates must be an array'),
+    body('dates.*').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Dates must be in YYYY-MM-DD format'),
+    body('startHour').optional().isInt({ min: 0, max: 23 }).withMessage('Start hour must be between 0 and 23'),
+    body('endHour').optional().isInt({ min: 1, max: 24 }).withMessage('End hour must be between 1 and 24'),
+    body('minDays').optional().isFloat({ min: 0 }).withMessage('Minimum days must be non-negative'),
+    body('minHours').optional().isFloat({ min: 0 }).withMessage('Minimum hours must be non-negative'),
+    body('bookingTypes').optional().isArray().withMessage('Booking types must be an array'),
+    body('bookingTypes.*').optional().isIn(['hourly', 'daily']).withMessage('Booking type must be hourly or daily'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Get pricing rules
+router.get('/pricing-rules', requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { type, isActive } = req.query;
+
+    let filter = {};
+    if (type) {
+      filter.type = type;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const rules = await PricingRule.find(filter).sort({ type: 1, createdAt: -1 });
+    res.json({ rules });
+  } catch (error) {
+    console.error('Get pricing rules error:', error);
+    res.status(500).json({ message: 'Server error while fetching pricing rules' });
+  }
+});
+
+// Add pricing rule
+router.post('/pricing-rules', requirePermission('pricing:write'), pricingRuleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = new PricingRule(req.body);
+    await rule.save();
+    await recordAudit(req, { action: 'pricing_rule.create', entityType: 'PricingRule', entityId: rule._id, after: rule });
+
+    res.status(201).json({
+      message: 'Pricing rule added successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Add pricing rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while adding pricing rule' });
+  }
+});
+
+// Update pricing rule
+router.put('/pricing-rules/:id', requirePermission('pricing:write'), pricingRuleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await PricingRule.findById(req.params.id);
+    const rule = before && await PricingRule.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    await recordAudit(req, { action: 'pricing_rule.update', entityType: 'PricingRule', entityId: rule._id, before, after: rule });
+
+    res.json({
+      message: 'Pricing rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    console.error('Update pricing rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid pricing rule ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating pricing rule' });
+  }
+});
+
+// Delete pricing rule
+router.delete('/pricing-rules/:id', requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    await recordAudit(req, { action: 'pricing_rule.delete', entityType: 'PricingRule', entityId: rule._id, before: rule });
+
+    res.json({ message: 'Pricing rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid pricing rule ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting pricing rule' });
+  }
+});
+
+const couponValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code').trim().isLength({ min: 1, max: 30 }).withMessage('Code is required'),
+    field('discountType').isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+    field('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be non-negative'),
+    field('validFrom').isISO8601().withMessage('Valid from must be a valid date'),
+    field('validUntil').isISO8601().withMessage('Valid until must be a valid date'),
+    body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Max discount must be non-negative'),
+    body('minBookingAmount').optional().isFloat({ min: 0 }).withMessage('Minimum booking amount must be non-negative'),
+    body('usageLimit').optional().isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('cars').optional().isArray().withMessage('Cars must be an array'),
+    body('cars.*').optional().isMongoId().withMessage('Invalid car ID'),
+    body('brands').optional().isArray().withMessage('Brands must be an array'),
+    body('locations').optional().isArray().withMessage('Locations must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Get coupons
+router.get('/coupons', requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, search } = req.query;
+
+    let filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (search) {
+      filter.code = { $regex: search, $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      coupons,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalCoupons: total,
+        hasNext: skip + coupons.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ message: 'Server error while fetching coupons' });
+  }
+});
+
+// Add coupon
+router.post('/coupons', requirePermission('pricing:write'), couponValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Redemptions are counted by the booking flow only
+    const { usedCount, ...couponData } = req.body;
+
+    const existingCoupon = await Coupon.findOne({ code: couponData.code.toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+
+    const coupon = new Coupon(couponData);
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.create', entityType: 'Coupon', entityId: coupon._id, after: coupon });
+
+    res.status(201).json({
+      message: 'Coupon added successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Add coupon error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while adding coupon' });
+  }
+});
+
+// Update coupon
+router.put('/coupons/:id', requirePermission('pricing:write'), couponValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const before = snapshot(coupon);
+    const { usedCount, ...couponData } = req.body;
+    coupon.set(couponData);
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.update', entityType: 'Coupon', entityId: coupon._id, before, after: coupon });
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating coupon' });
+  }
+});
+
+// Delete coupon
+router.delete('/coupons/:id', requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    await recordAudit(req, { action: 'coupon.delete', entityType: 'Coupon', entityId: coupon._id, before: coupon });
+
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid coupon ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting coupon' });
+  }
+});
+
+const branchValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+    field('address').trim().isLength({ min: 1, max: 300 }).withMessage('Address is required'),
+    field('city').trim().isLength({ min: 1 }).withMessage('City is required'),
+    body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid Indian phone number'),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('openingHours').optional().isArray().withMessage('Opening hours must be an array'),
+    body('openingHours.*.dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 and 6'),
+    body('openingHours.*.open').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Opening time must be in HH:MM format'),
+    body('openingHours.*.close').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Closing time must be in HH:MM format'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Branch fields from the request; latitude/longitude become a GeoJSON point
+const branchData = ({ latitude, longitude, coordinates, ...data }) => {
+  if (latitude !== undefined && longitude !== undefined) {
+    data.coordinates = toPoint(latitude, longitude);
+  }
+  return data;
+};
+
+// Get all branches for admin
+router.get('/branches', requirePermission('branches:read'), async (req, res) => {
+  try {
+    const { city, isActive } = req.query;
+
+    let filter = {};
+    if (city) {
+      filter.city = { $regex: city, $options: 'i' };
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const branches = await Branch.find(filter).sort({ city: 1, name: 1 });
+    res.json({ branches });
+  } catch (error) {
+    console.error('Get admin branches error:', error);
+    res.status(500).json({ message: 'Server error while fetching branches' });
+  }
+});
+
+// Add branch
+router.post('/branches', requirePermission('branches:write'), branchValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const branch = new Branch(branchData(req.body));
+    await branch.save();
+    await recordAudit(req, { action: 'branch.create', entityType: 'Branch', entityId: branch._id, after: branch });
+
+    res.status(201).json({
+      message: 'Branch added successfully',
+      branch
+    });
+  } catch (error) {
+    console.error('Add branch error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while adding branch' });
+  }
+});
+
+// Update branch
+router.put('/branches/:id', requirePermission('branches:write'), branchValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await Branch.findById(req.params.id);
+    const branch = before && await Branch.findByIdAndUpdate(
+      req.params.id,
+      branchData(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    await recordAudit(req, { action: 'branch.update', entityType: 'Branch', entityId: branch._id, before, after: branch });
+
+    // Cars waiting at a moved branch are picked up at its new location
+    if (req.body.latitude !== undefined && req.body.longitude !== undefined) {
+      await Car.updateMany({ currentBranch: branch._id }, { coordinates: branchPoint(branch) });
+    }
+
+    res.json({
+      message: 'Branch updated successfully',
+      branch
+    });
+  } catch (error) {
+    console.error('Update branch error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid branch ID' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating branch' });
+  }
+});
+
+// Delete branch; branches still referenced by cars can only be deactivated
+router.delete('/branches/:id', requirePermission('branches:write'), async (req, res) => {
+  try {
+    const carsAtBranch = await Car.countDocuments({
+      $or: [{ homeBranch: req.params.id }, { currentBranch: req.params.id }]
+    });
+
+    if (carsAtBranch > 0) {
+      return res.status(400).json({
+        message: 'Cannot delete a branch that cars belong to. Deactivate it instead.'
+      });
+    }
+
+    const branch = await Branch.findByIdAndDelete(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    await recordAudit(req, { action: 'branch.delete', entityType: 'Branch', entityId: branch._id, before: branch });
+
+    res.json({ message: 'Branch deleted successfully' });
+  } catch (error) {
+    console.error('Delete branch error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid branch ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting branch' });
+  }
+});
+
 // Get all cars for admin
-router.get('/cars', adminAuth, async (req, res) => {
+router.get('/cars', requirePermission('cars:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search, isAvailable } = req.query;
 
-    let filter = {};
+    // Branch staff only see cars based at or currently at their branches
+    let filter = carScopeFilter(req.branchScope);
     if (search) {
       filter.$text = { $search: search };
     }
@@ -286,4 +1382,382 @@ router.get('/cars', adminAuth, async (req, res) => {
   }
 });
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Get users with search and filters
+router.get('/users', requirePermission('users:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(User.schema.path('role').enumValues).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  query('registeredFrom').optional().isISO8601().withMessage('Registered from must be a valid date'),
+  query('registeredTo').optional().isISO8601().withMessage('Registered to must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, search, role, isActive, registeredFrom, registeredTo } = req.query;
+
+    let filter = {};
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (registeredFrom || registeredTo) {
+      filter.createdAt = {};
+      if (registeredFrom) filter.createdAt.$gte = parseInstant(registeredFrom);
+      if (registeredTo) filter.createdAt.$lte = parseInstant(registeredTo);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalUsers: total,
+        hasNext: skip + users.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// Get a user with their booking history and total spend
+router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Spend is what was paid, less processed refunds
+    const [bookings, totalBookings, statusCounts, spend] = await Promise.all([
+      Booking.find({ user: user._id })
+        .populate('car', 'title brand model image')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Booking.countDocuments({ user: user._id }),
+      Booking.aggregate([
+        { $match: { user: user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Booking.aggregate([
+        { $match: { user: user._id, paymentStatus: { $in: ['paid', 'partially_refunded', 'refunded'] } } },
+        {
+          $group: {
+            _id: null,
+            paid: { $sum: '$totalAmount' },
+            refunded: {
+              $sum: { $cond: [{ $eq: ['$refund.status', 'processed'] }, '$refund.amount', 0] }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const bookingsByStatus = {};
+    statusCounts.forEach(({ _id, count }) => {
+      bookingsByStatus[_id] = count;
+    });
+
+    res.json({
+      user,
+      stats: {
+        totalBookings,
+        bookingsByStatus,
+        totalSpend: spend.length ? spend[0].paid - spend[0].refunded : 0
+      },
+      bookings,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalBookings / parseInt(limit)),
+        totalBookings,
+        hasNext: skip + bookings.length < totalBookings,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get admin user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// Deactivate or reactivate a user; deactivating logs them out everywhere
+router.patch('/users/:id/status', requirePermission('users:write'), [
+  body('isActive').isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.deletedAt) {
+      return res.status(400).json({ message: 'Deleted accounts cannot be reactivated' });
+    }
+
+    if (!isActive && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+    }
+
+    const before = snapshot(user);
+    user.isActive = isActive;
+    await user.save();
+    await recordAudit(req, {
+      action: isActive ? 'user.reactivate' : 'user.deactivate',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user
+    });
+
+    if (!isActive) {
+      await revokeAllSessions(user._id, 'account_deactivated');
+    }
+
+    res.json({
+      message: isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating user status' });
+  }
+});
+
+// Get the roles and the permissions each one grants
+router.get('/roles', requirePermission('users:read'), (req, res) => {
+  res.json({
+    roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({
+      role,
+      permissions,
+      branchScoped: BRANCH_SCOPED_ROLES.includes(role)
+    }))
+  });
+});
+
+// Change a user's role; branch-scoped roles need the branches they work at
+router.patch('/users/:id/role', requirePermission('users:roles'), [
+  body('role').isIn(User.schema.path('role').enumValues).withMessage('Invalid role'),
+  body('branches').optional().isArray().withMessage('Branches must be an array'),
+  body('branches.*').isMongoId().withMessage('Invalid branch ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.body;
+    const branches = BRANCH_SCOPED_ROLES.includes(role) ? [...new Set(req.body.branches || [])] : [];
+
+    if (BRANCH_SCOPED_ROLES.includes(role)) {
+      if (branches.length === 0) {
+        return res.status(400).json({ message: 'At least one branch is required for this role' });
+      }
+      if (await Branch.countDocuments({ _id: { $in: branches } }) !== branches.length) {
+        return res.status(400).json({ message: 'One or more branches were not found' });
+      }
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote the last active admin' });
+    }
+
+    const before = snapshot(user);
+    user.role = role;
+    user.branches = branches;
+    await user.save();
+    await recordAudit(req, { action: 'user.role.update', entityType: 'User', entityId: user._id, before, after: user });
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating user role' });
+  }
+});
+
+// Get audit log entries, newest first
+router.get('/audit-logs', requirePermission('audit:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, actor, action, entityType, entityId, from, to } = req.query;
+
+    let filter = {};
+    if (actor) {
+      filter.actor = actor;
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (entityType) {
+      filter.entityType = entityType;
+    }
+    if (entityId) {
+      filter.entityId = entityId;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = parseInstant(from);
+      if (to) filter.createdAt.$lte = parseInstant(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const auditLogs = await AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      auditLogs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalAuditLogs: total,
+        hasNext: skip + auditLogs.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error while fetching audit logs' });
+  }
+});
+
+// Get background jobs with their schedule and last run
+router.get('/jobs', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ message: 'Server error while fetching jobs' });
+  }
+});
+
+// Run a job now, whether or not it is due or enabled
+router.post('/jobs/:name/run', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const run = await triggerJob(req.params.name, { triggeredBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'job.run',
+      entityType: 'Job',
+      metadata: { name: req.params.name, ...run }
+    });
+
+    res.json({
+      message: run.status === 'succeeded' ? 'Job completed' : 'Job failed',
+      run
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Run job error:', error);
+    res.status(500).json({ message: 'Server error while running job' });
+  }
+});
+
+// Enable or disable a job's schedule
+router.patch('/jobs/:name', requirePermission('jobs:manage'), [
+  body('enabled').isBoolean().withMessage('Enabled must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await setJobEnabled(req.params.name, req.body.enabled === true || req.body.enabled === 'true');
+
+    await recordAudit(req, {
+      action: job.enabled ? 'job.enable' : 'job.disable',
+      entityType: 'Job',
+      entityId: job._id,
+      metadata: { name: job.name }
+    });
+
+    res.json({
+      message: `Job ${job.enabled ? 'enabled' : 'disabled'}`,
+      job
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update job error:', error);
+    res.status(500).json({ message: 'Server error while updating job' });
+  }
+});
+
 module.exports = router;
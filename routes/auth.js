@@ -1,15 +1,32 @@
 const express = require('express');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { createUserToken, consumeUserToken, lastTokenSentAt } = require('../utils/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mail/messages');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { isLastActiveAdmin } = require('../utils/users');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
+// Public view of a user in auth responses
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail
+});
 
 // Register
 router.post('/register', [
@@ -36,19 +53,24 @@ router.post('/register', [
     const user = new User({ name, email, password, phone });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Confirms the address the account uses. A failed send is logged; the
+    // user can ask for the email again
+    try {
+      const verificationToken = await createUserToken(user, 'email_verification', { email: user.email });
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        role: user.role
-      }
+      refreshToken,
+      expiresIn,
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -86,19 +108,15 @@ router.post('/login', [
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        role: user.role
-      }
+      refreshToken,
+      expiresIn,
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -106,17 +124,233 @@ router.post('/login', [
   }
 });
 
+// Verify email address with the token from the verification email
+router.post('/verify-email', [
+  body('token').isString().trim().isLength({ min: 1 }).withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const token = await consumeUserToken(req.body.token, ['email_verification', 'email_change']);
+    if (!token) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    // The token only verifies the address it was sent to; for an email change
+    // that address replaces the current one
+    const user = token.type === 'email_change'
+      ? await User.findOneAndUpdate(
+        { _id: token.user, pendingEmail: token.email },
+        {
+          email: token.email,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          $unset: { pendingEmail: 1 }
+        },
+        { new: true }
+      )
+      : await User.findOneAndUpdate(
+        { _id: token.user, email: token.email },
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+      );
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    res.json({
+      message: token.type === 'email_change' ? 'Email changed successfully' : 'Email verified successfully',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This email is already in use by another account' });
+    }
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const lastSentAt = await lastTokenSentAt(req.user, 'email_verification');
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < 60 * 1000) {
+      return res.status(429).json({ message: 'Please wait a minute before asking for another email' });
+    }
+
+    const token = await createUserToken(req.user, 'email_verification', { email: req.user.email });
+    await sendVerificationEmail(req.user, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// Request a password reset link. The response is the same whether or not the
+// email belongs to an account, so it can't be used to find registered users
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && user.isActive) {
+      const token = await createUserToken(user, 'password_reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', [
+  body('token').isString().trim().isLength({ min: 1 }).withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const token = await consumeUserToken(req.body.token, 'password_reset');
+    const user = token && await User.findById(token.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'password_change');
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// Exchange a refresh token for new tokens; each refresh token works once
+router.post('/refresh', [
+  body('refreshToken').isString().trim().isLength({ min: 1 }).withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken, expiresIn } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({ token, refreshToken, expiresIn });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error while refreshing token' });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Log out of every session, on every device
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout_all');
+    res.json({
+      message: 'Logged out of all sessions',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// Revoke one of the current user's sessions, e.g. a lost device
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        phone: req.user.phone,
-        role: req.user.role
-      }
+      user: toUserResponse(req.user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -124,4 +358,184 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Update name and phone
+router.put('/me', auth, [
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid Indian phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const update = {};
+    ['name', 'phone'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, { new: true, runValidators: true });
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// Change password. Every session is logged out, and this device gets a new one
+router.put('/me/password', auth, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_change');
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// Change email. The new address takes effect once it is verified through the
+// link sent to it
+router.put('/me/email', auth, [
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase();
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'This email is already in use by another account' });
+    }
+
+    user.pendingEmail = email;
+    await user.save();
+
+    const token = await createUserToken(user, 'email_change', { email });
+    await sendVerificationEmail(user, token, email);
+
+    res.json({
+      message: 'Please check your new email address to confirm the change',
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while changing email' });
+  }
+});
+
+// Confirmed or ongoing bookings that haven't ended yet keep an account open
+const hasUpcomingBookings = (userId) => {
+  const now = new Date();
+  return Booking.exists({
+    user: userId,
+    status: { $in: ['confirmed', 'active'] },
+    $or: [
+      { endAt: { $gt: now } },
+      { endAt: { $exists: false }, endDate: { $gte: now } }
+    ]
+  });
+};
+
+// Deactivate or delete the current user's account. Deleting anonymises the
+// account instead of removing it, so past bookings keep their customer record
+const closeAccount = (mode) => [auth, [
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'The last active admin cannot close their account' });
+    }
+
+    if (await hasUpcomingBookings(user._id)) {
+      return res.status(400).json({
+        message: 'You have upcoming confirmed bookings. Please cancel them or wait until they are over.'
+      });
+    }
+
+    user.isActive = false;
+    if (mode === 'delete') {
+      user.name = 'Deleted user';
+      user.email = `deleted-${user._id}@example.com`;
+      user.phone = '6000000000';
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.emailVerified = false;
+      user.pendingEmail = undefined;
+      user.deletedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'account_deactivated');
+
+    res.json({
+      message: mode === 'delete' ? 'Account deleted successfully' : 'Account deactivated successfully'
+    });
+  } catch (error) {
+    console.error(mode === 'delete' ? 'Delete account error:' : 'Deactivate account error:', error);
+    res.status(500).json({ message: 'Server error while closing account' });
+  }
+}];
+
+router.post('/me/deactivate', ...closeAccount('deactivate'));
+router.delete('/me', ...closeAccount('delete'));
+
 module.exports = router;
@@ -2,48 +2,41 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Booking = require('../models/Booking');
 const Car = require('../models/Car');
+const BookingDraft = require('../models/BookingDraft');
 const { auth } = require('../middleware/auth');
-const Razorpay = require('razorpay');
-const crypto = require('crypto'); // For signature verification
+const { canAccessBooking } = require('../utils/permissions');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { idempotency } = require('../middleware/idempotency');
+const { getPaymentProvider } = require('../utils/payments');
+const { checkRentalPeriod, getQuote } = require('../utils/pricing');
+const { applyCoupon } = require('../utils/coupons');
+const { resolveBranches } = require('../utils/branches');
+const {
+  isCarFree,
+  releaseHold,
+  getDraftTtlMinutes,
+  confirmDraftPayment
+} = require('../utils/bookings');
+const { withCarLock } = require('../utils/carLock');
+const { cancelBooking } = require('../utils/cancellation');
+const { requestModification, confirmModificationPayment } = require('../utils/modification');
+const httpError = require('../utils/httpError');
+const { combineDateTime, toBusinessDate } = require('../utils/dates');
 
 const router = express.Router();
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
-// Helper function to calculate duration and total amount
-const calculateBookingDetails = (car, startDate, endDate, startTime, endTime, bookingType) => {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  let duration, totalAmount;
-
-  if (bookingType === 'daily') {
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-    duration = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-    totalAmount = duration * car.pricePerDay;
-  } else { // hourly
-    const startDateTime = new Date(`${startDate}T${startTime}`);
-    const endDateTime = new Date(`${endDate}T${endTime}`);
-    duration = Math.ceil((endDateTime - startDateTime) / (1000 * 60 * 60));
-    totalAmount = duration * car.pricePerHour;
-  }
-  return { duration, totalAmount };
-};
-
-// Create Razorpay Order
-router.post('/create-razorpay-order', auth, [
+// Create payment order (route name kept for existing clients)
+router.post('/create-razorpay-order', auth, idempotency, [
   body('carId').isMongoId().withMessage('Invalid car ID'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').isISO8601().withMessage('End date must be a valid date'),
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
   body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
   body('bookingType').isIn(['hourly', 'daily']).withMessage('Booking type must be hourly or daily'),
-  body('pickupLocation').trim().isLength({ min: 1 }).withMessage('Pickup location is required'),
-  body('dropoffLocation').trim().isLength({ min: 1 }).withMessage('Dropoff location is required')
+  body('pickupBranch').isMongoId().withMessage('Invalid pickup branch'),
+  body('dropoffBranch').isMongoId().withMessage('Invalid dropoff branch'),
+  body('specialRequests').optional().isLength({ max: 200 }).withMessage('Special requests cannot exceed 200 characters'),
+  body('couponCode').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Invalid coupon code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -58,6 +51,8 @@ router.post('/create-razorpay-order', auth, [
       startTime,
       endTime,
       bookingType,
+      specialRequests,
+      couponCode
     } = req.body;
 
     const car = await Car.findById(carId);
@@ -65,142 +60,227 @@ router.post('/create-razorpay-order', auth, [
       return res.status(404).json({ message: 'Car not found' });
     }
 
+    if (!car.isAvailable) {
+      return res.status(400).json({ message: 'Car is not available' });
+    }
+
+    checkRentalPeriod({ startDate, endDate, startTime, endTime });
+    const startAt = combineDateTime(startDate, startTime);
+    const endAt = combineDateTime(endDate, endTime);
+
+    const { pickupBranch, dropoffBranch, oneWay } = await resolveBranches({
+      car,
+      pickupBranchId: req.body.pickupBranch,
+      dropoffBranchId: req.body.dropoffBranch,
+      startAt,
+      endAt
+    });
+
     // Calculate amount based on booking details
-    const { totalAmount } = calculateBookingDetails(car, startDate, endDate, startTime, endTime, bookingType);
+    const quote = await getQuote(car, { startDate, endDate, startTime, endTime, bookingType, oneWay });
+    const { duration } = quote;
+    let totalAmount = quote.totalAmount;
+    const priceBreakdown = [...quote.items];
+    let coupon;
+
+    // Discount the charged amount; the redemption is counted once payment is verified
+    if (couponCode) {
+      const applied = await applyCoupon(couponCode, { userId: req.user._id, car, amount: totalAmount });
+      coupon = {
+        couponId: applied.coupon._id,
+        code: applied.coupon.code,
+        discountAmount: applied.discount
+      };
+      priceBreakdown.push({ label: `Coupon ${applied.coupon.code}`, amount: -applied.discount });
+      totalAmount = Math.round((totalAmount - applied.discount) * 100) / 100;
+    }
 
     if (totalAmount <= 0) {
       return res.status(400).json({ message: 'Calculated total amount is zero or negative.' });
     }
 
-    // Create Razorpay order
-    const options = {
-      amount: totalAmount * 100, // amount in smallest currency unit (e.g., paise)
+    const provider = getPaymentProvider();
+
+    // Create the payment order with the configured provider. This is a network
+    // call, so it happens before taking the car's lock, which is short-lived;
+    // an order whose slot turns out to be taken is simply never paid.
+    const order = await provider.createOrder({
+      amount: Math.round(totalAmount * 100), // amount in smallest currency unit (e.g., paise)
       currency: 'INR',
       receipt: `receipt_order_${Date.now()}`,
-      payment_capture: 1 // auto capture payment
-    };
+      notes: {
+        userId: req.user._id.toString(),
+        carId
+      }
+    });
 
-    const order = await razorpay.orders.create(options);
+    // Check availability and place the hold under the car's lock so two
+    // customers can never start paying for the same slot
+    const draft = await withCarLock(carId, async () => {
+      // A new order replaces any unpaid hold this user still has on the car
+      await BookingDraft.deleteMany({ user: req.user._id, car: carId });
+
+      const available = await isCarFree(carId, startAt, endAt);
+      if (!available) {
+        throw httpError(409, 'Car is not available for the selected dates/times.');
+      }
+
+      // Remember what is being paid for and hold the car until the draft expires;
+      // the booking is created from this draft
+      const draft = new BookingDraft({
+        user: req.user._id,
+        car: carId,
+        startDate: toBusinessDate(startDate), // Calendar dates in the business timezone
+        endDate: toBusinessDate(endDate),
+        startTime,
+        endTime,
+        bookingType: quote.bookingType, // Daily when the engine switched to the cheaper rate
+        duration,
+        totalAmount,
+        priceBreakdown,
+        coupon,
+        pickupLocation: pickupBranch.name,
+        dropoffLocation: dropoffBranch.name,
+        pickupBranch: pickupBranch._id,
+        dropoffBranch: dropoffBranch._id,
+        specialRequests,
+        paymentProvider: provider.name,
+        razorpayOrderId: order.id,
+        expiresAt: new Date(Date.now() + getDraftTtlMinutes() * 60 * 1000)
+      });
+      await draft.save();
+
+      return draft;
+    });
 
     res.status(200).json({
       orderId: order.id,
       currency: order.currency,
       amount: order.amount,
-      key_id: process.env.RAZORPAY_KEY_ID,
+      provider: provider.name,
+      ...provider.checkoutOptions(),
       carTitle: car.title,
+      quote: { ...quote, items: priceBreakdown, totalAmount },
+      coupon,
       userName: req.user.name,
       userEmail: req.user.email,
       userPhone: req.user.phone,
+      expiresAt: draft.expiresAt,
     });
 
   } catch (error) {
-    console.error('Error creating Razorpay order:', error);
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error creating payment order:', error);
     res.status(500).json({ message: 'Server error while creating payment order' });
   }
 });
 
-// Verify Razorpay Payment and Create Booking
-router.post('/verify-payment', auth, async (req, res) => {
+// Verify payment and create booking
+router.post('/verify-payment', auth, idempotency, [
+  body('razorpay_order_id').isString().withMessage('Order ID is required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const {
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature,
-      bookingDetails // This will contain all original booking form data
+      bookingDetails // Optional; only used to detect a mismatch with the stored draft
     } = req.body;
 
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-                                    .update(body.toString())
-                                    .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
-      return res.status(400).json({ message: 'Payment verification failed: Invalid signature' });
-    }
-
-    // Signature is valid, proceed to create booking
-    const {
-      carId,
-      startDate,
-      endDate,
-      startTime,
-      endTime,
-      bookingType,
-      pickupLocation,
-      dropoffLocation,
-      specialRequests
-    } = bookingDetails;
-
-    const car = await Car.findById(carId);
-    if (!car) {
-      return res.status(404).json({ message: 'Car not found' });
-    }
-
-    if (!car.isAvailable) {
-      return res.status(400).json({ message: 'Car is not available' });
+    // Verify with the provider the order was created with, which may no longer
+    // be the configured one (or with the booking's, if it is already confirmed)
+    const order = await BookingDraft.findOne({ razorpayOrderId: razorpay_order_id }) ||
+      await Booking.findOne({ razorpayOrderId: razorpay_order_id });
+    if (!order) {
+      return res.status(400).json({ message: 'Booking session not found or expired' });
     }
 
-    // Re-check for overlapping bookings to prevent race conditions
-    const startDateTimeForCheck = new Date(`${startDate}T${startTime}`);
-    const endDateTimeForCheck = new Date(`${endDate}T${endTime}`);
-
-    const overlappingBooking = await Booking.findOne({
-      car: carId,
-      status: { $in: ['confirmed', 'pending'] },
-      $or: [
-        {
-          startDate: { $lte: endDateTimeForCheck },
-          endDate: { $gte: startDateTimeForCheck }
-        }
-      ]
+    const provider = getPaymentProvider(order.paymentProvider);
+    const payment = await provider.verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
     });
 
-    if (overlappingBooking) {
-      return res.status(400).json({ message: 'Car is no longer available for the selected dates/times.' });
+    if (!payment.verified) {
+      await recordAudit(req, {
+        action: 'payment.verify_failed',
+        entityType: 'BookingDraft',
+        metadata: { provider: provider.name, orderId: razorpay_order_id, paymentId: razorpay_payment_id }
+      });
+      return res.status(400).json({ message: 'Payment verification failed: Invalid signature' });
     }
 
-    // Calculate duration and total amount again for final booking record
-    const { duration, totalAmount } = calculateBookingDetails(car, startDate, endDate, startTime, endTime, bookingType);
-
-    // Create booking with confirmed status and paid payment status
-    const booking = new Booking({
-      user: req.user._id,
-      car: carId,
-      startDate,
-      endDate,
-      startTime,
-      endTime,
-      totalAmount,
-      bookingType,
-      duration,
-      pickupLocation,
-      dropoffLocation,
-      specialRequests,
-      status: 'confirmed', // Confirmed after successful payment
-      paymentStatus: 'paid',
-      razorpayPaymentId: razorpay_payment_id, // Store payment ID
-      razorpayOrderId: razorpay_order_id,     // Store order ID
+    // Signature is valid, create the booking from the stored draft
+    // (or pick up the one the webhook created)
+    const { booking, created } = await confirmDraftPayment({
+      provider: provider.name,
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      amountPaid: payment.amountPaid,
+      paid: payment.paid,
+      userId: req.user._id,
+      carId: bookingDetails?.carId
     });
 
-    await booking.save();
-
-    // Update car's total bookings
-    await Car.findByIdAndUpdate(carId, { $inc: { totalBookings: 1 } });
+    if (created) {
+      await recordAudit(req, {
+        action: 'payment.verify',
+        entityType: 'Booking',
+        entityId: booking._id,
+        after: booking,
+        metadata: { provider: provider.name, orderId: razorpay_order_id, paymentId: razorpay_payment_id }
+      });
+    }
 
     // Populate car details for response
     await booking.populate('car', 'title brand model image pricePerDay pricePerHour');
 
-    res.status(201).json({
-      message: 'Booking created and payment successful!',
+    res.status(created ? 201 : 200).json({
+      message: booking.paymentStatus === 'paid'
+        ? 'Booking created and payment successful!'
+        : 'Booking created. Payment is due at pickup.',
       booking
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error verifying payment or creating booking:', error);
     res.status(500).json({ message: 'Server error during payment verification or booking creation' });
   }
 });
 
+// Release the hold of an order the customer abandoned or failed to pay
+router.delete('/holds/:orderId', auth, idempotency, async (req, res) => {
+  try {
+    const draft = await BookingDraft.findOne({ razorpayOrderId: req.params.orderId });
+
+    if (!draft) {
+      return res.status(404).json({ message: 'Hold not found' });
+    }
+
+    if (draft.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await releaseHold(draft.razorpayOrderId);
+
+    res.json({ message: 'Hold released successfully' });
+  } catch (error) {
+    console.error('Release hold error:', error);
+    res.status(500).json({ message: 'Server error while releasing hold' });
+  }
+});
+
 // Get user bookings
 router.get('/my-bookings', auth, async (req, res) => {
   try {
@@ -242,14 +322,16 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
       .populate('car', 'title brand model image location pricePerDay pricePerHour')
-      .populate('user', 'name email phone');
+      .populate('user', 'name email phone')
+      .populate('statusHistory.changedBy', 'name role');
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user owns this booking or is admin
-    if (booking.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns this booking or is staff allowed to see it
+    if (booking.user._id.toString() !== req.user._id.toString() &&
+        !canAccessBooking(req.user, booking, 'bookings:read')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -264,24 +346,32 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Cancel booking
-router.patch('/:id/cancel', auth, async (req, res) => {
+router.patch('/:id/cancel', auth, idempotency, [
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Check if user owns this booking
-    if (booking.user.toString() !== req.user._id.toString()) {
+    // Check if user owns this booking or is staff cancelling on their behalf
+    if (booking.user.toString() !== req.user._id.toString() &&
+        !canAccessBooking(req.user, booking, 'bookings:write')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     // Check if booking can be cancelled (before start date)
     const now = new Date();
-    const startDate = new Date(booking.startDate);
+    const startAt = booking.startAt || new Date(booking.startDate);
 
-    if (startDate <= now) {
+    if (startAt <= now) {
       return res.status(400).json({ message: 'Cannot cancel booking that has already started' });
     }
 
@@ -289,17 +379,243 @@ router.patch('/:id/cancel', auth, async (req, res) => {
       return res.status(400).json({ message: 'Booking is already cancelled' });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
-
-    res.json({
-      message: 'Booking cancelled successfully',
-      booking
+    // Refund what the cancellation policy allows
+    const before = snapshot(booking);
+    const isOwner = booking.user.toString() === req.user._id.toString();
+    await cancelBooking(booking, {
+      reason: req.body.reason || (isOwner ? 'Cancelled by customer' : undefined),
+      changedBy: req.user._id
     });
+    await recordAudit(req, { action: 'booking.cancel', entityType: 'Booking', entityId: booking._id, before, after: booking });
+
+    let message = 'Booking cancelled successfully';
+    if (booking.refund?.status === 'failed') {
+      message += '. Part of the refund could not be processed; our team will follow up.';
+    } else if (booking.refund?.amount) {
+      message += `. ₹${booking.refund.amount} will be refunded.`;
+    }
+
+    res.json({ message, booking });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Cancel booking error:', error);
     res.status(500).json({ message: 'Server error while cancelling booking' });
   }
 });
 
+const TIME_FORMAT = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Change the rental window of the booking in req.params.id. Changes costing the
+// same or less are applied at once; otherwise a payment order for the
+// difference is returned and the change is applied once it is paid
+const modifyBooking = async (req, res, type, changes) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return res.status(404).json({ message: 'Booking not found' });
+  }
+
+  // Check if user owns this booking or is staff changing it on their behalf
+  if (booking.user.toString() !== req.user._id.toString() &&
+      !canAccessBooking(req.user, booking, 'bookings:write')) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+
+  const { before, change, booking: updated, modification, order, draft, provider } = await requestModification(
+    booking._id,
+    changes,
+    { type, changedBy: req.user._id }
+  );
+  const quote = { ...change.quote, items: change.priceBreakdown, totalAmount: change.totalAmount };
+
+  if (order) {
+    return res.json({
+      message: `Pay ₹${change.difference} to confirm the change`,
+      paymentRequired: true,
+      orderId: order.id,
+      currency: order.currency,
+      amount: order.amount,
+      provider: provider.name,
+      ...provider.checkoutOptions(),
+      quote,
+      difference: change.difference,
+      expiresAt: draft.expiresAt
+    });
+  }
+
+  await recordAudit(req, {
+    action: type === 'extension' ? 'booking.extend' : 'booking.modify',
+    entityType: 'Booking',
+    entityId: updated._id,
+    before,
+    after: updated
+  });
+
+  const refunded = modification.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+  const refundFailed = modification.refunds.some(refund => refund.status === 'failed');
+  let message = 'Booking updated successfully';
+  if (refundFailed) {
+    message += '. Part of the refund could not be processed; our team will follow up.';
+  } else if (refunded) {
+    message += `. ₹${Math.round(refunded * 100) / 100} will be refunded.`;
+  }
+
+  res.json({
+    message,
+    paymentRequired: false,
+    quote,
+    difference: change.difference,
+    booking: updated,
+    modification
+  });
+};
+
+// Change the booking's dates and times
+router.patch('/:id', auth, idempotency, [
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('startTime').optional().matches(TIME_FORMAT).withMessage('Start time must be in HH:MM format'),
+  body('endTime').optional().matches(TIME_FORMAT).withMessage('End time must be in HH:MM format'),
+  body('bookingType').optional().isIn(['hourly', 'daily']).withMessage('Booking type must be hourly or daily')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, startTime, endTime, bookingType } = req.body;
+    await modifyBooking(req, res, 'reschedule', { startDate, endDate, startTime, endTime, bookingType });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Modify booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating booking' });
+  }
+});
+
+// Extend the booking to a later return time
+router.post('/:id/extend', auth, idempotency, [
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('endTime').matches(TIME_FORMAT).withMessage('End time must be in HH:MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endDate, endTime } = req.body;
+    await modifyBooking(req, res, 'extension', { endDate, endTime });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Extend booking error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error while extending booking' });
+  }
+});
+
+// Verify the payment of a booking change and apply it
+router.post('/:id/modifications/verify-payment', auth, idempotency, [
+  body('razorpay_order_id').isString().withMessage('Order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.user.toString() !== req.user._id.toString() &&
+        !canAccessBooking(req.user, booking, 'bookings:write')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Verify with the provider the order was created with, which may no longer
+    // be the configured one
+    const order = await BookingDraft.findOne({ razorpayOrderId: razorpay_order_id, booking: booking._id }) ||
+      booking.modifications.find(modification => modification.razorpayOrderId === razorpay_order_id);
+    if (!order) {
+      return res.status(400).json({ message: 'Booking change not found or expired' });
+    }
+
+    const provider = getPaymentProvider(order.paymentProvider);
+    const payment = await provider.verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!payment.verified) {
+      await recordAudit(req, {
+        action: 'payment.verify_failed',
+        entityType: 'Booking',
+        entityId: booking._id,
+        metadata: { provider: provider.name, orderId: razorpay_order_id, paymentId: razorpay_payment_id }
+      });
+      return res.status(400).json({ message: 'Payment verification failed: Invalid signature' });
+    }
+
+    const result = await confirmModificationPayment({
+      provider: provider.name,
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      amountPaid: payment.amountPaid,
+      bookingId: booking._id,
+      changedBy: req.user._id
+    });
+
+    if (result.applied) {
+      const { modification } = result;
+      await recordAudit(req, {
+        action: 'payment.verify',
+        entityType: 'Booking',
+        entityId: booking._id,
+        before: modification.previous,
+        after: { startAt: modification.startAt, endAt: modification.endAt, totalAmount: modification.totalAmount },
+        metadata: {
+          provider: provider.name,
+          orderId: razorpay_order_id,
+          paymentId: razorpay_payment_id,
+          type: modification.type
+        }
+      });
+    }
+
+    res.json({
+      message: 'Payment successful. Booking updated.',
+      booking: result.booking,
+      modification: result.modification
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Verify booking change payment error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid booking ID' });
+    }
+    res.status(500).json({ message: 'Server error during payment verification' });
+  }
+});
+
 module.exports = router;
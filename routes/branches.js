@@ -0,0 +1,43 @@
+const express = require('express');
+const Branch = require('../models/Branch');
+
+const router = express.Router();
+
+// Get active branches for pickup and dropoff selection
+router.get('/', async (req, res) => {
+  try {
+    const { city } = req.query;
+
+    let filter = { isActive: true };
+    if (city) {
+      filter.city = { $regex: city, $options: 'i' };
+    }
+
+    const branches = await Branch.find(filter).sort({ city: 1, name: 1 });
+    res.json({ branches });
+  } catch (error) {
+    console.error('Get branches error:', error);
+    res.status(500).json({ message: 'Server error while fetching branches' });
+  }
+});
+
+// Get single branch
+router.get('/:id', async (req, res) => {
+  try {
+    const branch = await Branch.findOne({ _id: req.params.id, isActive: true });
+
+    if (!branch) {
+      return res.status(404).json({ message: 'Branch not found' });
+    }
+
+    res.json(branch);
+  } catch (error) {
+    console.error('Get branch error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid branch ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching branch' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,11 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Car = require('../models/Car');
 const Booking = require('../models/Booking');
+const Review = require('../models/Review');
 const { auth, adminAuth } = require('../middleware/auth');
+const { isCarFree, findUnavailableCarIds, getCarAvailability } = require('../utils/bookings');
+const { getRequestedPeriod, parseInstant, startOfMonth, getBusinessTimezone } = require('../utils/dates');
+const { checkRentalPeriod, getQuote } = require('../utils/pricing');
 
 const router = express.Router();
 
@@ -11,7 +15,14 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be non-negative'),
-  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative')
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+  query('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: 500 }).withMessage('Radius must be between 0 and 500 km')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,6 +30,19 @@ router.get('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { lat, lng, radiusKm } = req.query;
+    const nearby = lat !== undefined || lng !== undefined;
+
+    if (nearby && (lat === undefined || lng === undefined)) {
+      return res.status(400).json({ message: 'Both lat and lng are required for a location search' });
+    }
+    if (radiusKm !== undefined && !nearby) {
+      return res.status(400).json({ message: 'radiusKm requires lat and lng' });
+    }
+    if (nearby && req.query.search) {
+      return res.status(400).json({ message: 'Text search cannot be combined with a location search' });
+    }
+
     const {
       page = 1,
       limit = 12,
@@ -28,10 +52,12 @@ router.get('/', [
       transmission,
       minPrice,
       maxPrice,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
+      sortBy = nearby ? 'distance' : 'createdAt',
+      sortOrder = sortBy === 'distance' ? 'asc' : 'desc',
       startDate,
-      endDate
+      endDate,
+      startTime,
+      endTime
     } = req.query;
 
     // Build filter object
@@ -59,18 +85,15 @@ router.get('/', [
       if (maxPrice) filter.pricePerDay.$lte = parseFloat(maxPrice);
     }
 
-    // If date range is provided, exclude cars that are booked during that period
+    // If date range is provided, exclude cars that are booked or held during that period
     if (startDate && endDate) {
-      const bookedCarIds = await Booking.distinct('car', {
-        status: { $in: ['confirmed', 'pending'] },
-        $or: [
-          {
-            startDate: { $lte: new Date(endDate) },
-            endDate: { $gte: new Date(startDate) }
-          }
-        ]
-      });
-      filter._id = { $nin: bookedCarIds };
+      const { start, end } = getRequestedPeriod({ startDate, endDate, startTime, endTime });
+      const unavailableCarIds = await findUnavailableCarIds(start, end);
+      filter._id = { $nin: unavailableCarIds };
+    }
+
+    if (sortBy === 'distance' && !nearby) {
+      return res.status(400).json({ message: 'Sorting by distance requires lat and lng' });
     }
 
     // Build sort object
@@ -79,12 +102,44 @@ router.get('/', [
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const cars = await Car.find(filter)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit));
+    let cars;
+    let total;
 
-    const total = await Car.countDocuments(filter);
+    if (nearby) {
+      // $geoNear must come first; it applies the other filters and adds the
+      // distance to the pickup point in km
+      const geoNear = {
+        near: { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] },
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        query: filter,
+        spherical: true
+      };
+      if (radiusKm) {
+        geoNear.maxDistance = parseFloat(radiusKm) * 1000;
+      }
+
+      const [result] = await Car.aggregate([
+        { $geoNear: geoNear },
+        { $sort: { ...sortObj, _id: 1 } },
+        {
+          $facet: {
+            cars: [{ $skip: skip }, { $limit: parseInt(limit) }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      cars = result.cars.map(car => ({ ...car, distance: Math.round(car.distance * 100) / 100 }));
+      total = result.total.length ? result.total[0].count : 0;
+    } else {
+      cars = await Car.find(filter)
+        .sort(sortObj)
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      total = await Car.countDocuments(filter);
+    }
 
     res.json({
       cars,
@@ -124,7 +179,9 @@ router.get('/:id', async (req, res) => {
 // Check car availability
 router.post('/:id/check-availability', [
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
-  body('endDate').isISO8601().withMessage('End date must be a valid date')
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -132,7 +189,7 @@ router.post('/:id/check-availability', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { startDate, endDate } = req.body;
+    const { startDate, endDate, startTime, endTime } = req.body;
     const carId = req.params.id;
 
     // Check if car exists
@@ -141,19 +198,9 @@ router.post('/:id/check-availability', [
       return res.status(404).json({ message: 'Car not found' });
     }
 
-    // Check for overlapping bookings
-    const overlappingBooking = await Booking.findOne({
-      car: carId,
-      status: { $in: ['confirmed', 'pending'] },
-      $or: [
-        {
-          startDate: { $lte: new Date(endDate) },
-          endDate: { $gte: new Date(startDate) }
-        }
-      ]
-    });
-
-    const isAvailable = !overlappingBooking && car.isAvailable;
+    // Check for overlapping bookings and payment holds
+    const { start, end } = getRequestedPeriod({ startDate, endDate, startTime, endTime });
+    const isAvailable = car.isAvailable && await isCarFree(carId, start, end);
 
     res.json({
       available: isAvailable,
@@ -165,6 +212,257 @@ router.post('/:id/check-availability', [
   }
 });
 
+// Get booked, blocked and free intervals of a car, e.g. for a month view
+router.get('/:id/availability', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Defaults to the current month in the business timezone
+    const from = req.query.from ? parseInstant(req.query.from) : startOfMonth(new Date());
+    const to = req.query.to ? parseInstant(req.query.to) : startOfMonth(from, 1);
+
+    if (to <= from) {
+      return res.status(400).json({ message: 'To must be after from' });
+    }
+    if (to - from > 62 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'Range cannot exceed 62 days' });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const { booked, blocked, free } = await getCarAvailability(car, from, to);
+
+    res.json({ carId: car._id, timezone: getBusinessTimezone(), from, to, booked, blocked, free });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching availability' });
+  }
+});
+
+// Get an itemized price quote for renting a car
+router.post('/:id/quote', [
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').isISO8601().withMessage('End date must be a valid date'),
+  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+  body('bookingType').isIn(['hourly', 'daily']).withMessage('Booking type must be hourly or daily'),
+  body('pickupBranch').optional().isMongoId().withMessage('Invalid pickup branch'),
+  body('dropoffBranch').optional().isMongoId().withMessage('Invalid dropoff branch')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const car = await Car.findById(req.params.id);
+    if (!car) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const { startDate, endDate, startTime, endTime, bookingType, pickupBranch, dropoffBranch } = req.body;
+
+    checkRentalPeriod({ startDate, endDate, startTime, endTime });
+
+    // Returning to another branch adds the one-way drop fee
+    const oneWay = Boolean(pickupBranch && dropoffBranch && pickupBranch !== dropoffBranch);
+    const quote = await getQuote(car, { startDate, endDate, startTime, endTime, bookingType, oneWay });
+
+    if (quote.totalAmount <= 0) {
+      return res.status(400).json({ message: 'End must be after start' });
+    }
+
+    res.json({ quote });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get quote error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while calculating quote' });
+  }
+});
+
+// Get visible reviews of a car
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { car: req.params.id, isHidden: false };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name')
+      .select('-hiddenReason -hiddenBy')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalReviews: total,
+        hasNext: skip + reviews.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// Review a car after a completed booking
+router.post('/:id/reviews', auth, [
+  body('bookingId').isMongoId().withMessage('Invalid booking ID'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId, rating, comment } = req.body;
+    const carId = req.params.id;
+
+    const booking = await Booking.findOne({
+      _id: bookingId,
+      user: req.user._id,
+      car: carId,
+      status: 'completed'
+    });
+    if (!booking) {
+      return res.status(403).json({ message: 'You can only review cars from your completed bookings' });
+    }
+
+    const existingReview = await Review.findOne({ booking: bookingId });
+    if (existingReview) {
+      return res.status(400).json({ message: 'You have already reviewed this booking' });
+    }
+
+    const review = new Review({
+      user: req.user._id,
+      car: carId,
+      booking: bookingId,
+      rating,
+      comment
+    });
+    await review.save();
+
+    await Review.updateCarRating(carId);
+
+    res.status(201).json({
+      message: 'Review added successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Add review error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this booking' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid car ID' });
+    }
+    res.status(500).json({ message: 'Server error while adding review' });
+  }
+});
+
+// Edit own review
+router.put('/:id/reviews/:reviewId', auth, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, car: req.params.id });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { rating, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (comment !== undefined) review.comment = comment;
+    await review.save();
+
+    await Review.updateCarRating(review.car);
+
+    res.json({
+      message: 'Review updated successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while updating review' });
+  }
+});
+
+// Delete own review
+router.delete('/:id/reviews/:reviewId', auth, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, car: req.params.id });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await review.deleteOne();
+    await Review.updateCarRating(review.car);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid review ID' });
+    }
+    res.status(500).json({ message: 'Server error while deleting review' });
+  }
+});
+
 // Get unique brands for filter
 router.get('/filters/brands', async (req, res) => {
   try {
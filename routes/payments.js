@@ -0,0 +1,255 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const BookingDraft = require('../models/BookingDraft');
+const { getPaymentProvider, getWebhookProviderNames } = require('../utils/payments');
+const { confirmDraftPayment } = require('../utils/bookings');
+const { isModificationOrder, confirmModificationPayment } = require('../utils/modification');
+const { recordAudit, snapshot } = require('../utils/audit');
+const httpError = require('../utils/httpError');
+
+const router = express.Router();
+
+// Events may only touch records paid through the provider that sent them
+const checkEventProvider = (provider, recordProvider) => {
+  if (recordProvider && recordProvider !== provider.name) {
+    throw httpError(400, 'Event does not match the payment provider of the booking');
+  }
+};
+
+// Provider of one of the booking's payments: the original one or the payment
+// of a change
+const getPaymentProviderOf = (booking, paymentId) => {
+  if (paymentId === booking.razorpayPaymentId) {
+    return booking.paymentProvider;
+  }
+  const modification = booking.modifications.find(m => m.razorpayPaymentId === paymentId);
+  return modification ? modification.paymentProvider : booking.paymentProvider;
+};
+
+// payment.captured for a booking change: apply it if the browser never confirmed it
+const handleModificationCaptured = async (provider, event) => {
+  const { booking, modification, applied } = await confirmModificationPayment({
+    provider: provider.name,
+    razorpayOrderId: event.orderId,
+    razorpayPaymentId: event.paymentId,
+    amountPaid: event.amount
+  });
+  if (applied) {
+    await recordAudit(null, {
+      action: 'payment.webhook.modification_captured',
+      entityType: 'Booking',
+      entityId: booking._id,
+      before: modification.previous,
+      after: { startAt: modification.startAt, endAt: modification.endAt, totalAmount: modification.totalAmount },
+      metadata: { provider: provider.name, orderId: event.orderId, paymentId: event.paymentId, type: modification.type }
+    });
+  }
+};
+
+// payment.captured: create the booking if the browser never confirmed it
+const handlePaymentCaptured = async (provider, event) => {
+  if (!event.orderId) {
+    return;
+  }
+
+  try {
+    if (await isModificationOrder(event.orderId)) {
+      await handleModificationCaptured(provider, event);
+      return;
+    }
+
+    const { booking, created } = await confirmDraftPayment({
+      provider: provider.name,
+      razorpayOrderId: event.orderId,
+      razorpayPaymentId: event.paymentId,
+      amountPaid: event.amount
+    });
+    if (created) {
+      await recordAudit(null, {
+        action: 'payment.webhook.captured',
+        entityType: 'Booking',
+        entityId: booking._id,
+        after: booking,
+        metadata: { provider: provider.name, orderId: event.orderId, paymentId: event.paymentId }
+      });
+    }
+  } catch (error) {
+    if (!error.status) {
+      throw error;
+    }
+    // The customer has paid but the booking cannot be made or changed, e.g.
+    // the hold expired first. Record the payment so staff can find and refund it.
+    console.error(`Webhook could not create booking for order ${event.orderId}:`, error.message);
+    await recordAudit(null, {
+      action: 'payment.orphaned',
+      entityType: 'BookingDraft',
+      metadata: {
+        provider: provider.name,
+        orderId: event.orderId,
+        paymentId: event.paymentId,
+        amount: event.amount / 100,
+        reason: error.message
+      }
+    });
+  }
+};
+
+// payment.failed: mark a booking still awaiting payment as failed. A failed
+// attempt does not end the checkout; the customer can retry on the same order,
+// so the hold stays until it expires or is released through DELETE /holds/:orderId
+const handlePaymentFailed = async (provider, event) => {
+  if (!event.orderId) {
+    return;
+  }
+
+  const draft = await BookingDraft.findOne({ razorpayOrderId: event.orderId });
+  if (draft) {
+    checkEventProvider(provider, draft.paymentProvider);
+  }
+
+  const booking = await Booking.findOneAndUpdate(
+    { razorpayOrderId: event.orderId, paymentProvider: provider.name, paymentStatus: 'pending' },
+    { paymentStatus: 'failed' }
+  );
+
+  await recordAudit(null, {
+    action: 'payment.webhook.failed',
+    entityType: booking ? 'Booking' : 'BookingDraft',
+    entityId: booking ? booking._id : undefined,
+    before: booking ? { paymentStatus: booking.paymentStatus } : undefined,
+    after: booking ? { paymentStatus: 'failed' } : undefined,
+    metadata: { provider: provider.name, orderId: event.orderId, paymentId: event.paymentId }
+  });
+};
+
+// refund.processed: record the refund against the booking it belongs to
+const handleRefundProcessed = async (provider, event) => {
+  if (!event.paymentId) {
+    return;
+  }
+
+  // Surplus refunds of booking changes are tracked on the change
+  const modified = await Booking.findOne({ 'modifications.refunds.razorpayRefundId': event.refundId });
+  if (modified) {
+    checkEventProvider(provider, getPaymentProviderOf(modified, event.paymentId));
+    const before = snapshot(modified);
+    modified.modifications.forEach(modification => {
+      modification.refunds.forEach(refund => {
+        if (refund.razorpayRefundId === event.refundId) {
+          refund.status = 'processed';
+          refund.processedAt = refund.processedAt || new Date();
+        }
+      });
+    });
+    await modified.save();
+
+    await recordAudit(null, {
+      action: 'payment.webhook.refund_processed',
+      entityType: 'Booking',
+      entityId: modified._id,
+      before,
+      after: modified,
+      metadata: { provider: provider.name, refundId: event.refundId }
+    });
+    return;
+  }
+
+  // Cancellation refunds are tracked per payment refunded
+  const cancelled = await Booking.findOne({ 'refund.parts.razorpayRefundId': event.refundId });
+  if (cancelled) {
+    checkEventProvider(provider, getPaymentProviderOf(cancelled, event.paymentId));
+    const before = snapshot(cancelled);
+    cancelled.refund.parts.forEach(part => {
+      if (part.razorpayRefundId === event.refundId) {
+        part.status = 'processed';
+        part.processedAt = part.processedAt || new Date();
+      }
+    });
+    if (cancelled.refund.parts.every(part => part.status === 'processed')) {
+      cancelled.refund.status = 'processed';
+      cancelled.refund.processedAt = cancelled.refund.processedAt || new Date();
+    }
+    await cancelled.save();
+
+    await recordAudit(null, {
+      action: 'payment.webhook.refund_processed',
+      entityType: 'Booking',
+      entityId: cancelled._id,
+      before,
+      after: cancelled,
+      metadata: { provider: provider.name, refundId: event.refundId }
+    });
+    return;
+  }
+
+  // Otherwise a refund made outside the app, e.g. from the provider's dashboard
+  const booking = await Booking.findOne({ razorpayPaymentId: event.paymentId });
+  if (!booking) {
+    return;
+  }
+  checkEventProvider(provider, booking.paymentProvider);
+
+  const before = snapshot(booking);
+  // The provider reports the total refunded from this one payment; once a
+  // change has refunded part of it, that no longer matches the cancellation
+  const amountRefunded = booking.modifications.length && booking.refund?.amount
+    ? booking.refund.amount
+    : event.amountRefunded / 100;
+
+  booking.refund = {
+    razorpayRefundId: event.refundId,
+    amount: amountRefunded,
+    status: 'processed',
+    requestedAt: booking.refund?.requestedAt || new Date(),
+    processedAt: new Date()
+  };
+  booking.paymentStatus = amountRefunded >= booking.totalAmount ? 'refunded' : 'partially_refunded';
+  await booking.save();
+
+  await recordAudit(null, {
+    action: 'payment.webhook.refund_processed',
+    entityType: 'Booking',
+    entityId: booking._id,
+    before,
+    after: booking,
+    metadata: { provider: provider.name, refundId: event.refundId }
+  });
+};
+
+// Payment provider webhook, e.g. /api/payments/razorpay/webhook
+router.post('/:provider/webhook', async (req, res) => {
+  try {
+    if (!getWebhookProviderNames().includes(req.params.provider)) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    const provider = getPaymentProvider(req.params.provider);
+    const event = provider.parseWebhook(req.rawBody, req.headers);
+
+    switch (event?.type) {
+      case 'payment.captured':
+        await handlePaymentCaptured(provider, event);
+        break;
+      case 'payment.failed':
+        await handlePaymentFailed(provider, event);
+        break;
+      case 'refund.processed':
+        await handleRefundProcessed(provider, event);
+        break;
+      default:
+        // Acknowledge events we do not handle so the provider stops retrying them
+        break;
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    // A non-2xx response makes the provider retry the delivery
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error while processing webhook' });
+  }
+});
+
+module.exports = router;
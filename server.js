@@ -9,6 +9,11 @@ const authRoutes = require('./routes/auth');
 const carRoutes = require('./routes/cars');
 const bookingRoutes = require('./routes/bookings');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const branchRoutes = require('./routes/branches');
+const { getStorage } = require('./utils/storage');
+const { getMailTransport } = require('./utils/mail');
+const { startScheduler } = require('./utils/jobs');
 
 const app = express();
 
@@ -34,9 +39,18 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Refuse to start with mail misconfigured rather than fail on the first email
+getMailTransport();
+
 // Database connection
 const startServer = async () => {
   try {
@@ -46,6 +60,9 @@ const startServer = async () => {
 
     console.log('MongoDB connected successfully');
 
+    // Background jobs (auto-completing bookings, reminders, ...)
+    await startScheduler();
+
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -65,6 +82,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/cars', carRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/branches', branchRoutes);
+
+// Car images saved to local disk; served cross-origin for the frontend
+if (getStorage().name === 'local') {
+  app.use('/uploads', express.static(getStorage().getUploadDir(), {
+    setHeaders: (res) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BOOKING_STATUSES, TRANSITIONS, checkTransition, transitionBooking } = require('../utils/bookingStatus');
+
+const START = new Date('2030-03-10T04:30:00Z');
+const BEFORE_START = new Date('2030-03-09T04:30:00Z');
+const AFTER_START = new Date('2030-03-10T06:30:00Z');
+
+const makeBooking = (status, overrides = {}) => ({
+  status,
+  paymentStatus: 'paid',
+  paymentProvider: 'razorpay',
+  startAt: START,
+  statusHistory: [],
+  ...overrides
+});
+
+const rejectsWith = (message) => (error) => error.status === 400 && message.test(error.message);
+
+test('every status pair is allowed or refused as the transition table says', () => {
+  for (const from of BOOKING_STATUSES) {
+    for (const to of BOOKING_STATUSES) {
+      const booking = makeBooking(from);
+      const check = () => checkTransition(booking, to, { reason: 'Checked by staff', now: AFTER_START });
+      if (TRANSITIONS[from].includes(to)) {
+        assert.doesNotThrow(check, `${from} -> ${to}`);
+      } else {
+        assert.throws(check, (error) => error.status === 400, `${from} -> ${to}`);
+      }
+    }
+  }
+});
+
+test('refused transitions explain what is allowed', () => {
+  const cases = [
+    { from: 'confirmed', to: 'confirmed', message: /^Booking is already confirmed$/ },
+    { from: 'pending', to: 'active', message: /it can only become confirmed or cancelled$/ },
+    { from: 'confirmed', to: 'completed', message: /it can only become active, cancelled or no_show$/ },
+    { from: 'active', to: 'cancelled', message: /it can only become completed$/ },
+    { from: 'completed', to: 'active', message: /completed is a final status$/ },
+    { from: 'no_show', to: 'confirmed', message: /no_show is a final status$/ }
+  ];
+
+  for (const { from, to, message } of cases) {
+    assert.throws(() => checkTransition(makeBooking(from), to, { reason: 'x', now: AFTER_START }), rejectsWith(message));
+  }
+});
+
+test('cancelling and marking a no-show need a non-blank reason', () => {
+  const cases = [
+    { from: 'pending', to: 'cancelled' },
+    { from: 'confirmed', to: 'cancelled' },
+    { from: 'confirmed', to: 'no_show' }
+  ];
+
+  for (const { from, to } of cases) {
+    for (const reason of [undefined, '', '   ']) {
+      assert.throws(
+        () => checkTransition(makeBooking(from), to, { reason, now: AFTER_START }),
+        rejectsWith(new RegExp(`A reason is required to mark a booking as ${to}`))
+      );
+    }
+    assert.doesNotThrow(() => checkTransition(makeBooking(from), to, { reason: 'Customer asked', now: AFTER_START }));
+  }
+});
+
+test('payment and timing rules', () => {
+  const cases = [
+    {
+      name: 'an unpaid online booking cannot be confirmed',
+      booking: makeBooking('pending', { paymentStatus: 'pending' }),
+      to: 'confirmed',
+      message: /not been paid/
+    },
+    {
+      name: 'a pay-at-pickup booking is confirmed unpaid',
+      booking: makeBooking('pending', { paymentStatus: 'pending', paymentProvider: 'cash' }),
+      to: 'confirmed'
+    },
+    {
+      name: 'the car is not handed over before a pay-at-pickup payment is collected',
+      booking: makeBooking('confirmed', { paymentStatus: 'pending', paymentProvider: 'cash' }),
+      to: 'active',
+      message: /set paymentCollected/
+    },
+    {
+      name: 'a partly refunded booking can still be picked up',
+      booking: makeBooking('confirmed', { paymentStatus: 'partially_refunded' }),
+      to: 'active'
+    },
+    {
+      name: 'an unpaid rental cannot be completed',
+      booking: makeBooking('active', { paymentStatus: 'failed' }),
+      to: 'completed',
+      message: /Cannot mark a booking as completed before it has been paid/
+    },
+    {
+      name: 'no-shows wait for the pickup time',
+      booking: makeBooking('confirmed'),
+      to: 'no_show',
+      now: BEFORE_START,
+      message: /before its pickup time/
+    },
+    {
+      name: 'no-shows of older bookings use the start date',
+      booking: makeBooking('confirmed', { startAt: undefined, startDate: START }),
+      to: 'no_show',
+      now: AFTER_START
+    }
+  ];
+
+  for (const { name, booking, to, now = AFTER_START, message } of cases) {
+    const check = () => checkTransition(booking, to, { reason: 'Checked by staff', now });
+    if (message) {
+      assert.throws(check, rejectsWith(message), name);
+    } else {
+      assert.doesNotThrow(check, name);
+    }
+  }
+});
+
+test('transitionBooking records each move in the status history', () => {
+  const booking = makeBooking('pending');
+  const changedBy = 'staff-1';
+
+  transitionBooking(booking, 'confirmed', { changedBy, now: BEFORE_START });
+  transitionBooking(booking, 'cancelled', { reason: '  Customer asked  ', changedBy, now: BEFORE_START });
+
+  assert.strictEqual(booking.status, 'cancelled');
+  assert.deepStrictEqual(booking.statusHistory, [
+    { from: 'pending', to: 'confirmed', reason: undefined, changedBy, changedAt: BEFORE_START },
+    { from: 'confirmed', to: 'cancelled', reason: 'Customer asked', changedBy, changedAt: BEFORE_START }
+  ]);
+});
+
+test('transitionBooking leaves a booking untouched when the move is refused', () => {
+  const booking = makeBooking('completed');
+
+  assert.throws(() => transitionBooking(booking, 'cancelled', { reason: 'Too late' }), (error) => error.status === 400);
+  assert.strictEqual(booking.status, 'completed');
+  assert.deepStrictEqual(booking.statusHistory, []);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const razorpay = require('../utils/payments/razorpay');
+const { calculateRefundAmount, cancelBooking } = require('../utils/cancellation');
+const { getRefundablePayments, planRefunds } = require('../utils/refunds');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2030-03-10T04:30:00Z');
+
+const hoursBefore = (hours) => new Date(START.getTime() - hours * HOUR_MS);
+
+// A booking first paid 1000, extended for 500 paid separately, then
+// rescheduled for 100 less, refunded from the extension payment
+const makeChangedBooking = ({ surplusRefundStatus = 'processed' } = {}) => new Booking({
+  user: new mongoose.Types.ObjectId(),
+  car: new mongoose.Types.ObjectId(),
+  startDate: '2030-03-10',
+  endDate: '2030-03-12',
+  startTime: '10:00',
+  endTime: '10:00',
+  bookingType: 'daily',
+  duration: 2,
+  totalAmount: 1400,
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  paymentProvider: 'razorpay',
+  razorpayPaymentId: 'pay_main',
+  startAt: START,
+  pickupLocation: 'Main branch',
+  dropoffLocation: 'Main branch',
+  bookingId: 'CG1',
+  modifications: [
+    { type: 'extension', difference: 500, totalAmount: 1500, paymentProvider: 'razorpay', razorpayPaymentId: 'pay_extra' },
+    {
+      type: 'reschedule',
+      difference: -100,
+      totalAmount: 1400,
+      refunds: [{ paymentId: 'pay_extra', razorpayRefundId: 'rfnd_surplus', amount: 100, status: surplusRefundStatus }]
+    }
+  ]
+});
+
+test('refund tiers of the default policy, at and around their boundaries', () => {
+  const booking = { totalAmount: 1000, startAt: START };
+  const cases = [
+    { hours: 48, refund: 1000 },
+    { hours: 24, refund: 1000 },
+    { hours: 23.99, refund: 500 },
+    { hours: 1, refund: 500 },
+    { hours: 0, refund: 500 },
+    { hours: -0.01, refund: 0 },
+    { hours: -24, refund: 0 }
+  ];
+
+  for (const { hours, refund } of cases) {
+    assert.strictEqual(calculateRefundAmount(booking, hoursBefore(hours)), refund, `${hours}h before the start`);
+  }
+});
+
+test('refund tiers follow CANCELLATION_POLICY, ignoring malformed tiers', (t) => {
+  const previous = process.env.CANCELLATION_POLICY;
+  process.env.CANCELLATION_POLICY = '0:25,72:100,bogus,48:75';
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.CANCELLATION_POLICY;
+    } else {
+      process.env.CANCELLATION_POLICY = previous;
+    }
+  });
+
+  const booking = { totalAmount: 333, startAt: START };
+  assert.strictEqual(calculateRefundAmount(booking, hoursBefore(72)), 333);
+  assert.strictEqual(calculateRefundAmount(booking, hoursBefore(71)), 249.75);
+  assert.strictEqual(calculateRefundAmount(booking, hoursBefore(47)), 83.25);
+  assert.strictEqual(calculateRefundAmount(booking, hoursBefore(-1)), 0);
+});
+
+test('older bookings without startAt are timed from their start date', () => {
+  const booking = { totalAmount: 1000, startDate: START };
+  assert.strictEqual(calculateRefundAmount(booking, hoursBefore(30)), 1000);
+});
+
+test('a booking paid in several parts refunds the newest payment first', () => {
+  const booking = makeChangedBooking();
+
+  assert.deepStrictEqual(getRefundablePayments(booking).map(p => [p.paymentId, p.refundable]), [
+    ['pay_extra', 400],
+    ['pay_main', 1000]
+  ]);
+  assert.deepStrictEqual(planRefunds(booking, 300), [
+    { paymentId: 'pay_extra', provider: 'razorpay', amount: 300 }
+  ]);
+  assert.deepStrictEqual(planRefunds(booking, 1400), [
+    { paymentId: 'pay_extra', provider: 'razorpay', amount: 400 },
+    { paymentId: 'pay_main', provider: 'razorpay', amount: 1000 }
+  ]);
+});
+
+test('a failed surplus refund stays refundable from its payment', () => {
+  const booking = makeChangedBooking({ surplusRefundStatus: 'failed' });
+
+  assert.deepStrictEqual(planRefunds(booking, 1400), [
+    { paymentId: 'pay_extra', provider: 'razorpay', amount: 500 },
+    { paymentId: 'pay_main', provider: 'razorpay', amount: 900 }
+  ]);
+});
+
+test('more than was paid cannot be refunded online', () => {
+  assert.throws(() => planRefunds(makeChangedBooking(), 1400.01), (error) => error.status === 400);
+});
+
+test('a cancellation saves its refunds as pending before sending them', async (t) => {
+  const calls = [];
+  t.mock.method(Booking, 'updateOne', async (filter, update) => {
+    calls.push(['update', filter, update]);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(razorpay, 'refund', async (paymentId, { amount }) => {
+    calls.push(['refund', paymentId, amount]);
+    return { id: `rfnd_${paymentId}`, status: 'processed' };
+  });
+
+  const booking = makeChangedBooking();
+  await cancelBooking(booking, { forceFullRefund: true, reason: 'Car broke down', changedBy: 'staff-1' });
+
+  const [claim, ...rest] = calls;
+  assert.deepStrictEqual(claim[1], { _id: booking._id, status: 'confirmed', modifications: { $size: 2 } });
+  assert.strictEqual(claim[2].$set.status, 'cancelled');
+  assert.strictEqual(claim[2].$set.paymentStatus, 'refunded');
+  assert.deepStrictEqual(claim[2].$set.refund.parts.map(p => [p.paymentId, p.amount, p.status]), [
+    ['pay_extra', 400, 'pending'],
+    ['pay_main', 1000, 'pending']
+  ]);
+  assert.deepStrictEqual(rest.map(call => call[0]), ['refund', 'refund', 'update']);
+  assert.deepStrictEqual(rest.slice(0, 2).map(call => [call[1], call[2]]), [['pay_extra', 40000], ['pay_main', 100000]]);
+
+  assert.strictEqual(booking.status, 'cancelled');
+  assert.strictEqual(booking.refund.status, 'processed');
+  assert.strictEqual(booking.refund.razorpayRefundId, 'rfnd_pay_main');
+  assert.strictEqual(booking.refund.amount, 1400);
+});
+
+test('a refund the provider rejects is kept as failed while the others go through', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Booking, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(razorpay, 'refund', async (paymentId) => {
+    if (paymentId === 'pay_extra') {
+      throw new Error('Refund declined');
+    }
+    return { id: `rfnd_${paymentId}`, status: 'pending' };
+  });
+
+  const booking = makeChangedBooking();
+  await cancelBooking(booking, { forceFullRefund: true, reason: 'Car broke down' });
+
+  assert.strictEqual(booking.refund.status, 'failed');
+  assert.deepStrictEqual(booking.refund.parts.map(p => [p.paymentId, p.status, p.razorpayRefundId]), [
+    ['pay_extra', 'failed', undefined],
+    ['pay_main', 'pending', 'rfnd_pay_main']
+  ]);
+});
+
+test('of two concurrent cancellations only one refunds', async (t) => {
+  let status = 'confirmed';
+  t.mock.method(Booking, 'updateOne', async (filter) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (filter.status) {
+      if (filter.status !== status) {
+        return { modifiedCount: 0 };
+      }
+      status = 'cancelled';
+    }
+    return { modifiedCount: 1 };
+  });
+  const refund = t.mock.method(razorpay, 'refund', async (paymentId) => ({ id: `rfnd_${paymentId}`, status: 'pending' }));
+
+  const results = await Promise.allSettled([
+    cancelBooking(makeChangedBooking(), { reason: 'Customer asked' }),
+    cancelBooking(makeChangedBooking(), { reason: 'Customer asked' })
+  ]);
+
+  assert.strictEqual(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.status, 409);
+  assert.strictEqual(refund.mock.callCount(), 2); // the two parts of the one cancellation
+});
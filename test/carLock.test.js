@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const BookingDraft = require('../models/BookingDraft');
+const Car = require('../models/Car');
+const CarLock = require('../models/CarLock');
+const Maintenance = require('../models/Maintenance');
+const { withCarLock } = require('../utils/carLock');
+const { confirmDraftPayment } = require('../utils/bookings');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Whether a stored document matches a query filter, for the operators the
+// booking code uses
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  const value = doc[key];
+  const isOperator = condition && typeof condition === 'object' &&
+    !(condition instanceof Date) && !mongoose.isValidObjectId(condition);
+  if (!isOperator) {
+    return String(value) === String(condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$in': return operand.map(String).includes(String(value));
+      case '$ne': return String(value) !== String(operand);
+      case '$exists': return (value !== undefined) === operand;
+      case '$lt': return value !== undefined && value < operand;
+      case '$lte': return value !== undefined && value <= operand;
+      case '$gt': return value !== undefined && value > operand;
+      case '$gte': return value !== undefined && value >= operand;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+});
+
+// In-memory stand-in for the CarLock collection, including the duplicate key
+// error its unique index raises when an upsert meets an unexpired lock
+const fakeLockCollection = (t) => {
+  const locks = new Map();
+
+  t.mock.method(CarLock, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const key = String(filter.car);
+    const lock = locks.get(key);
+    if (lock && lock.expiresAt > filter.expiresAt.$lte) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    locks.set(key, { owner: update.owner, expiresAt: update.expiresAt });
+    return null;
+  });
+
+  t.mock.method(CarLock, 'deleteOne', async (filter) => {
+    await tick();
+    const key = String(filter.car);
+    if (locks.get(key)?.owner === filter.owner) {
+      locks.delete(key);
+    }
+    return { deletedCount: 1 };
+  });
+
+  return locks;
+};
+
+// In-memory bookings, drafts and cars behind the models confirmDraftPayment
+// uses. Every call yields first, so concurrent confirmations interleave.
+const fakeBookingStore = (t) => {
+  const store = { bookings: [], drafts: [], totalBookings: {} };
+
+  t.mock.method(Booking, 'findOne', async (filter) => {
+    await tick();
+    return store.bookings.find(booking => matches(booking, filter)) || null;
+  });
+  t.mock.method(Booking.prototype, 'save', async function() {
+    await tick();
+    await this.validate();
+    if (store.bookings.some(booking => booking.razorpayOrderId === this.razorpayOrderId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    store.bookings.push(this);
+    return this;
+  });
+
+  t.mock.method(BookingDraft, 'findOne', async (filter) => {
+    await tick();
+    return store.drafts.find(draft => matches(draft, filter)) || null;
+  });
+  t.mock.method(BookingDraft, 'deleteOne', async (filter) => {
+    await tick();
+    store.drafts = store.drafts.filter(draft => !matches(draft, filter));
+    return { deletedCount: 1 };
+  });
+
+  t.mock.method(Maintenance, 'findOne', async () => null);
+  t.mock.method(Car, 'findById', async (carId) => ({ _id: carId, isAvailable: true }));
+  t.mock.method(Car, 'findByIdAndUpdate', async (carId) => {
+    store.totalBookings[carId] = (store.totalBookings[carId] || 0) + 1;
+  });
+
+  return store;
+};
+
+// A payment hold on the car, as create-razorpay-order stores it
+const addDraft = async (store, { car, orderId, startTime = '10:00', endTime = '14:00' }) => {
+  const draft = new BookingDraft({
+    user: id(),
+    car,
+    startDate: '2030-03-10',
+    endDate: '2030-03-10',
+    startTime,
+    endTime,
+    bookingType: 'hourly',
+    duration: 4,
+    totalAmount: 400,
+    pickupLocation: 'Main branch',
+    dropoffLocation: 'Main branch',
+    paymentProvider: 'mock',
+    razorpayOrderId: orderId,
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+  });
+  await draft.validate();
+  store.drafts.push(draft);
+  return draft;
+};
+
+const confirm = (orderId, paymentId = `pay_${orderId}`) => confirmDraftPayment({
+  provider: 'mock',
+  razorpayOrderId: orderId,
+  razorpayPaymentId: paymentId,
+  amountPaid: 40000
+});
+
+test('parallel confirmations of the same order create exactly one booking', async (t) => {
+  fakeLockCollection(t);
+  const store = fakeBookingStore(t);
+  const car = id();
+  await addDraft(store, { car, orderId: 'order_1' });
+
+  // The browser and the webhook, each possibly retried
+  const results = await Promise.all(Array.from({ length: 10 }, () => confirm('order_1')));
+
+  assert.strictEqual(results.filter(result => result.created).length, 1);
+  assert.strictEqual(store.bookings.length, 1);
+  assert.strictEqual(store.totalBookings[car], 1);
+  assert.ok(results.every(result => result.booking === store.bookings[0]));
+  assert.strictEqual(store.drafts.length, 0);
+});
+
+test('a confirmation is refused once an overlapping booking holds the car', async (t) => {
+  fakeLockCollection(t);
+  const store = fakeBookingStore(t);
+  const car = id();
+  await addDraft(store, { car, orderId: 'order_1' });
+  await confirm('order_1');
+
+  // Another order for an overlapping slot; paying for it must not double-book the car
+  await addDraft(store, { car, orderId: 'order_2', startTime: '12:00', endTime: '16:00' });
+
+  await assert.rejects(confirm('order_2'), (error) => error.status === 409);
+  assert.strictEqual(store.bookings.length, 1);
+});
+
+test('confirmations of back-to-back slots and of different cars do not block each other', async (t) => {
+  fakeLockCollection(t);
+  const store = fakeBookingStore(t);
+  const [car1, car2] = [id(), id()];
+  await addDraft(store, { car: car1, orderId: 'order_1', startTime: '10:00', endTime: '12:00' });
+  await addDraft(store, { car: car1, orderId: 'order_2', startTime: '12:00', endTime: '14:00' });
+  await addDraft(store, { car: car2, orderId: 'order_3' });
+
+  const results = await Promise.all(['order_1', 'order_2', 'order_3'].map(orderId => confirm(orderId)));
+
+  assert.ok(results.every(result => result.created));
+  assert.strictEqual(store.bookings.length, 3);
+});
+
+test('the lock is released when the critical section throws', async (t) => {
+  const locks = fakeLockCollection(t);
+
+  await assert.rejects(withCarLock('car1', async () => {
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.strictEqual(locks.size, 0);
+  assert.strictEqual(await withCarLock('car1', async () => 'ok'), 'ok');
+});
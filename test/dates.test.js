@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  toBusinessDate,
+  addDays,
+  combineDateTime,
+  formatInTimezone,
+  startOfMonth,
+  getRequestedPeriod
+} = require('../utils/dates');
+
+const withTimezone = (t, timeZone) => {
+  const previous = process.env.BUSINESS_TIMEZONE;
+  process.env.BUSINESS_TIMEZONE = timeZone;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.BUSINESS_TIMEZONE;
+    } else {
+      process.env.BUSINESS_TIMEZONE = previous;
+    }
+  });
+};
+
+test('a booking ending 23:30 IST ends on the same business day, before UTC midnight', (t) => {
+  withTimezone(t, 'Asia/Kolkata');
+
+  const endAt = combineDateTime('2026-03-10', '23:30');
+
+  assert.strictEqual(endAt.toISOString(), '2026-03-10T18:00:00.000Z');
+  assert.strictEqual(toBusinessDate(endAt.toISOString()), '2026-03-10');
+  assert.strictEqual(formatInTimezone(endAt), '2026-03-10T23:30:00+05:30');
+});
+
+test('an instant after 18:30 UTC is already the next business day in IST', (t) => {
+  withTimezone(t, 'Asia/Kolkata');
+
+  assert.strictEqual(toBusinessDate('2026-03-10T18:30:00Z'), '2026-03-11');
+  assert.strictEqual(toBusinessDate('2026-03-10T18:29:59Z'), '2026-03-10');
+});
+
+test('a whole-day period ends at the next business midnight, not UTC midnight', (t) => {
+  withTimezone(t, 'Asia/Kolkata');
+
+  const { start, end } = getRequestedPeriod({ startDate: '2026-03-10', endDate: '2026-03-10' });
+
+  assert.strictEqual(start.toISOString(), '2026-03-09T18:30:00.000Z');
+  assert.strictEqual(end.toISOString(), '2026-03-10T18:30:00.000Z');
+});
+
+test('31 Jan rolls over to 1 Feb', (t) => {
+  withTimezone(t, 'Asia/Kolkata');
+
+  assert.strictEqual(addDays('2026-01-31', 1), '2026-02-01');
+  assert.strictEqual(addDays('2028-02-28', 1), '2028-02-29');
+
+  const { end } = getRequestedPeriod({ startDate: '2026-01-31', endDate: '2026-01-31' });
+  assert.strictEqual(formatInTimezone(end), '2026-02-01T00:00:00+05:30');
+});
+
+test('the month of an instant follows the business timezone at month end', (t) => {
+  withTimezone(t, 'Asia/Kolkata');
+
+  // 20:00 UTC on 31 Jan is 01:30 IST on 1 Feb
+  const instant = new Date('2026-01-31T20:00:00Z');
+
+  assert.strictEqual(startOfMonth(instant).toISOString(), '2026-01-31T18:30:00.000Z');
+  assert.strictEqual(startOfMonth(instant, -1).toISOString(), '2025-12-31T18:30:00.000Z');
+  assert.strictEqual(startOfMonth(instant, 1).toISOString(), '2026-02-28T18:30:00.000Z');
+});
+
+test('times are converted with the offset in effect on that day', (t) => {
+  withTimezone(t, 'America/New_York');
+
+  // Daylight saving time starts on 8 Mar 2026
+  assert.strictEqual(combineDateTime('2026-03-07', '10:00').toISOString(), '2026-03-07T15:00:00.000Z');
+  assert.strictEqual(combineDateTime('2026-03-08', '10:00').toISOString(), '2026-03-08T14:00:00.000Z');
+  assert.strictEqual(toBusinessDate('2026-02-01T03:00:00Z'), '2026-01-31');
+});
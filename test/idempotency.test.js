@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotency } = require('../middleware/idempotency');
+
+// In-memory stand-in for the IdempotencyKey collection
+const fakeKeyCollection = (t) => {
+  const records = new Map();
+  let sequence = 0;
+
+  t.mock.method(IdempotencyKey, 'create', async (doc) => {
+    if ([...records.values()].some(r => r.key === doc.key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { _id: String(++sequence), status: 'processing', ...doc };
+    records.set(record._id, record);
+    return record;
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async ({ key }) => {
+    return [...records.values()].find(r => r.key === key) || null;
+  });
+  t.mock.method(IdempotencyKey, 'updateOne', async ({ _id }, update) => {
+    Object.assign(records.get(_id), update);
+  });
+  t.mock.method(IdempotencyKey, 'deleteOne', async ({ _id, status }) => {
+    if (records.get(_id) && (!status || records.get(_id).status === status)) {
+      records.delete(_id);
+    }
+  });
+
+  return records;
+};
+
+const startApp = async (t, handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: 'user1' };
+    next();
+  });
+  app.post('/thing', idempotency, handler);
+  // Express's default handler answers thrown errors without res.json
+  app.use((error, req, res, next) => {
+    res.status(500).send('error');
+  });
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return (key) => fetch(`http://127.0.0.1:${server.address().port}/thing`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body: JSON.stringify({ a: 1 })
+  });
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('a completed response is replayed for the same key', async (t) => {
+  fakeKeyCollection(t);
+  let calls = 0;
+  const send = await startApp(t, (req, res) => {
+    calls++;
+    res.status(201).json({ calls });
+  });
+
+  const first = await send('k1');
+  await settle();
+  const second = await send('k1');
+
+  assert.strictEqual(first.status, 201);
+  assert.strictEqual(second.status, 201);
+  assert.strictEqual(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(await second.json(), { calls: 1 });
+});
+
+test('a key is released when the handler throws', async (t) => {
+  const records = fakeKeyCollection(t);
+  let calls = 0;
+  const send = await startApp(t, (req, res, next) => {
+    calls++;
+    if (calls === 1) {
+      return next(new Error('boom'));
+    }
+    res.json({ calls });
+  });
+
+  assert.strictEqual((await send('k2')).status, 500);
+  await settle();
+  assert.strictEqual(records.size, 0);
+
+  const retry = await send('k2');
+  assert.strictEqual(retry.status, 200);
+  assert.deepStrictEqual(await retry.json(), { calls: 2 });
+});
+
+test('a key is released when the response is sent without res.json', async (t) => {
+  const records = fakeKeyCollection(t);
+  const send = await startApp(t, (req, res) => {
+    res.status(204).end();
+  });
+
+  assert.strictEqual((await send('k3')).status, 204);
+  await settle();
+  assert.strictEqual(records.size, 0);
+});
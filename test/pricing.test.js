@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculatePrice } = require('../utils/pricing');
+
+const car = { pricePerHour: 100, pricePerDay: 2000 };
+const minimumThreeHours = { type: 'minimum_duration', minHours: 3, minDays: 1 };
+
+test('a minimum duration raises the billed hours of a short rental', () => {
+  const quote = calculatePrice(car, {
+    startDate: '2026-03-10', endDate: '2026-03-10', startTime: '10:00', endTime: '11:00', bookingType: 'hourly'
+  }, [minimumThreeHours]);
+
+  assert.strictEqual(quote.duration, 3);
+  assert.strictEqual(quote.totalAmount, 300);
+});
+
+test('an empty or inverted range is rejected even with a minimum duration', () => {
+  for (const [endDate, endTime] of [['2026-03-10', '10:00'], ['2026-03-10', '09:00'], ['2026-03-09', '12:00']]) {
+    assert.throws(() => calculatePrice(car, {
+      startDate: '2026-03-10', endDate, startTime: '10:00', endTime, bookingType: 'hourly'
+    }, [minimumThreeHours]), (error) => error.status === 400);
+  }
+});
+
+test('a daily rental needs its end time after its start time', () => {
+  assert.throws(() => calculatePrice(car, {
+    startDate: '2026-03-10', endDate: '2026-03-10', startTime: '10:00', endTime: '10:00', bookingType: 'daily'
+  }, [minimumThreeHours]), (error) => error.status === 400);
+});
+
+test('rentals longer than the maximum are rejected before pricing', () => {
+  assert.throws(() => calculatePrice(car, {
+    startDate: '2026-03-10', endDate: '9999-12-31', startTime: '10:00', endTime: '10:00', bookingType: 'hourly'
+  }), (error) => error.status === 400 && /longer than 90 days/.test(error.message));
+});
+
+const hourlyCar = { pricePerHour: 100, pricePerDay: 10000 };
+
+test('a weekend surcharge covers only the hours starting on the weekend', () => {
+  const weekend = { type: 'weekend_surcharge', name: 'Weekend', adjustmentPercent: 50 };
+  const quote = calculatePrice(hourlyCar, {
+    startDate: '2026-03-13', endDate: '2026-03-16', startTime: '20:00', endTime: '08:00', bookingType: 'hourly'
+  }, [weekend]);
+
+  assert.strictEqual(quote.duration, 60);
+  assert.deepStrictEqual(quote.items[1], { label: 'Weekend (+50% on 48 hours)', amount: 2400 });
+  assert.strictEqual(quote.totalAmount, 8400);
+});
+
+test('a peak-hour surcharge is counted on every day the rental spans', () => {
+  const peak = { type: 'peak_hour', name: 'Rush hour', adjustmentPercent: 20, startHour: 8, endHour: 10 };
+  const quote = calculatePrice(hourlyCar, {
+    startDate: '2026-03-10', endDate: '2026-03-11', startTime: '07:00', endTime: '09:00', bookingType: 'hourly'
+  }, [peak]);
+
+  assert.strictEqual(quote.duration, 26);
+  assert.deepStrictEqual(quote.items[1], { label: 'Rush hour (+20% on 3 hours)', amount: 60 });
+});
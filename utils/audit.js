@@ -0,0 +1,58 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every save and say nothing about the change itself
+const IGNORED_FIELDS = ['updatedAt', '__v'];
+
+// Plain JSON copy of a document or object, so it can be compared and stored,
+// and later changes to the document don't leak into it
+const snapshot = (value) => {
+  if (!value) {
+    return null;
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level fields that differ between two snapshots
+const diff = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changes = { before: {}, after: {} };
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  });
+  return changes;
+};
+
+// Record an action. `req` supplies the actor and client; leave it out for
+// system actions. A failure to write the entry is logged, not thrown, so it
+// can't undo an action that already happened
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  try {
+    const changes = diff(snapshot(before), snapshot(after));
+    await AuditLog.create({
+      actor: req && req.user ? req.user._id : undefined,
+      actorRole: req && req.user ? req.user.role : 'system',
+      action,
+      entityType,
+      entityId,
+      before: changes.before || undefined,
+      after: changes.after || undefined,
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.get('user-agent') || '').slice(0, 500) : undefined
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { snapshot, diff, recordAudit };
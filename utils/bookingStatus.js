@@ -0,0 +1,85 @@
+const httpError = require('./httpError');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'no_show'];
+
+// Statuses in which a booking holds the car for its period
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'active'];
+
+// Allowed moves; completed, cancelled and no_show are final.
+// active means the car has been picked up
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['active', 'cancelled', 'no_show'],
+  active: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+const REASON_REQUIRED = ['cancelled', 'no_show'];
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// "a", "a or b", "a, b or c"
+const listStatuses = (statuses) => {
+  return statuses.length > 1
+    ? `${statuses.slice(0, -1).join(', ')} or ${statuses[statuses.length - 1]}`
+    : statuses[0];
+};
+
+// Throw a 400 explaining why the booking can't move to the status
+const checkTransition = (booking, to, { reason, now = new Date() } = {}) => {
+  const from = booking.status;
+
+  if (from === to) {
+    throw httpError(400, `Booking is already ${to}`);
+  }
+
+  const allowed = TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    throw httpError(400, allowed.length
+      ? `Cannot change a ${from} booking to ${to}; it can only become ${listStatuses(allowed)}`
+      : `Cannot change a ${from} booking; ${from} is a final status`);
+  }
+
+  if (REASON_REQUIRED.includes(to) && !(reason && reason.trim())) {
+    throw httpError(400, `A reason is required to mark a booking as ${to}`);
+  }
+
+  if (to === 'confirmed' && booking.paymentStatus !== 'paid' && booking.paymentProvider !== 'cash') {
+    throw httpError(400, 'Cannot confirm a booking that has not been paid');
+  }
+
+  if (['active', 'completed'].includes(to) && !PAID_STATUSES.includes(booking.paymentStatus)) {
+    throw httpError(400, booking.paymentProvider === 'cash' && to === 'active'
+      ? 'Cannot hand over the car before the pay-at-pickup payment is collected; set paymentCollected'
+      : `Cannot mark a booking as ${to} before it has been paid`);
+  }
+
+  if (to === 'no_show' && now < (booking.startAt || new Date(booking.startDate))) {
+    throw httpError(400, 'Cannot mark a booking as no_show before its pickup time');
+  }
+};
+
+// Move the booking to the status and record it in its history; the caller saves
+const transitionBooking = (booking, to, { reason, changedBy, now = new Date() } = {}) => {
+  checkTransition(booking, to, { reason, now });
+
+  booking.statusHistory.push({
+    from: booking.status,
+    to,
+    reason: reason ? reason.trim() : undefined,
+    changedBy,
+    changedAt: now
+  });
+  booking.status = to;
+  return booking;
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  TRANSITIONS,
+  checkTransition,
+  transitionBooking
+};
@@ -0,0 +1,299 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const BookingDraft = require('../models/BookingDraft');
+const Maintenance = require('../models/Maintenance');
+const httpError = require('./httpError');
+const { withCarLock } = require('./carLock');
+const { redeemCoupon, unredeemCoupon } = require('./coupons');
+const { recordAudit } = require('./audit');
+const { ACTIVE_BOOKING_STATUSES } = require('./bookingStatus');
+
+// Records whose combined start/end instants overlap the given period. Ranges
+// are half-open, so back-to-back slots do not conflict. Bookings made before
+// startAt/endAt existed only have dates and are compared by date.
+const overlapFilter = (startDateTime, endDateTime) => ({
+  $or: [
+    { startAt: { $lt: endDateTime }, endAt: { $gt: startDateTime } },
+    { startAt: { $exists: false }, startDate: { $lte: endDateTime }, endDate: { $gte: startDateTime } }
+  ]
+});
+
+// Find a booking holding the car during the given period
+const findOverlappingBooking = (carId, startDateTime, endDateTime, excludeBookingId) => {
+  const filter = {
+    car: carId,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    ...overlapFilter(startDateTime, endDateTime)
+  };
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+  return Booking.findOne(filter);
+};
+
+// Find an unexpired payment hold (booking draft) on the car overlapping the given period
+const findOverlappingHold = (carId, startDateTime, endDateTime, excludeOrderId) => {
+  const filter = {
+    car: carId,
+    expiresAt: { $gt: new Date() },
+    ...overlapFilter(startDateTime, endDateTime)
+  };
+  if (excludeOrderId) {
+    filter.razorpayOrderId = { $ne: excludeOrderId };
+  }
+  return BookingDraft.findOne(filter);
+};
+
+// Maintenance windows that take a car out of service
+const maintenanceFilter = (startDateTime, endDateTime) => ({
+  status: { $in: ['scheduled', 'in_progress'] },
+  startAt: { $lt: endDateTime },
+  endAt: { $gt: startDateTime }
+});
+
+// Check that the car is neither booked, held by someone paying, nor in maintenance for the period
+const isCarFree = async (carId, startDateTime, endDateTime, { excludeOrderId, excludeBookingId } = {}) => {
+  const [booking, hold, maintenance] = await Promise.all([
+    findOverlappingBooking(carId, startDateTime, endDateTime, excludeBookingId),
+    findOverlappingHold(carId, startDateTime, endDateTime, excludeOrderId),
+    Maintenance.findOne({ car: carId, ...maintenanceFilter(startDateTime, endDateTime) })
+  ]);
+  return !booking && !hold && !maintenance;
+};
+
+// IDs of cars booked, held or in maintenance at any point of the given period
+const findUnavailableCarIds = async (startDateTime, endDateTime) => {
+  const [bookedCarIds, heldCarIds, maintenanceCarIds] = await Promise.all([
+    Booking.distinct('car', {
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      ...overlapFilter(startDateTime, endDateTime)
+    }),
+    BookingDraft.distinct('car', {
+      expiresAt: { $gt: new Date() },
+      ...overlapFilter(startDateTime, endDateTime)
+    }),
+    Maintenance.distinct('car', maintenanceFilter(startDateTime, endDateTime))
+  ]);
+  return [...bookedCarIds, ...heldCarIds, ...maintenanceCarIds];
+};
+
+// Booked and blocked intervals of a car within [from, to), plus the free gaps
+// between them
+const getCarAvailability = async (car, from, to) => {
+  const [bookings, holds, maintenance] = await Promise.all([
+    Booking.find({
+      car: car._id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      ...overlapFilter(from, to)
+    }).select('startAt endAt startDate endDate status'),
+    BookingDraft.find({
+      car: car._id,
+      expiresAt: { $gt: new Date() },
+      ...overlapFilter(from, to)
+    }).select('startAt endAt'),
+    Maintenance.find({ car: car._id, ...maintenanceFilter(from, to) }).select('startAt endAt type')
+  ]);
+
+  const booked = bookings.map(b => ({
+    start: b.startAt || b.startDate,
+    end: b.endAt || b.endDate,
+    status: b.status
+  }));
+
+  const blocked = [
+    ...holds.map(h => ({ start: h.startAt, end: h.endAt, reason: 'payment_hold' })),
+    ...maintenance.map(m => ({ start: m.startAt, end: m.endAt, reason: 'maintenance', type: m.type }))
+  ];
+  if (!car.isAvailable) {
+    blocked.push({ start: from, end: to, reason: 'unavailable' });
+  }
+
+  // Walk the taken intervals in order and collect the gaps
+  const taken = [...booked, ...blocked]
+    .map(interval => ({
+      start: new Date(Math.max(interval.start, from)),
+      end: new Date(Math.min(interval.end, to))
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = from;
+  taken.forEach(interval => {
+    if (interval.start > cursor) {
+      free.push({ start: cursor, end: interval.start });
+    }
+    if (interval.end > cursor) {
+      cursor = interval.end;
+    }
+  });
+  if (cursor < to) {
+    free.push({ start: cursor, end: to });
+  }
+
+  return { booked, blocked, free };
+};
+
+// Release the payment hold of an order so the slot can be booked by others
+const releaseHold = (razorpayOrderId) => {
+  return BookingDraft.deleteOne({ razorpayOrderId });
+};
+
+// How long a booking draft holds the car while the customer pays
+const getDraftTtlMinutes = () => parseInt(process.env.BOOKING_DRAFT_TTL_MINUTES, 10) || 30;
+
+// Create the confirmed booking for a verified payment from the draft stored at
+// order time. Safe to call more than once for the same order: the browser and
+// the webhook may both report the payment. `paid` is false for providers that
+// collect the money later (pay at pickup), leaving the payment pending.
+const confirmDraftPayment = async ({
+  provider,
+  razorpayOrderId,
+  razorpayPaymentId,
+  amountPaid,
+  paid = true,
+  userId,
+  carId
+}) => {
+  const existing = await Booking.findOne({ razorpayOrderId });
+  if (existing) {
+    if (userId && existing.user.toString() !== userId.toString()) {
+      throw httpError(403, 'Access denied');
+    }
+    return { booking: existing, created: false };
+  }
+
+  const draft = await BookingDraft.findOne({ razorpayOrderId });
+  if (!draft || draft.isExpired()) {
+    throw httpError(400, 'Booking session not found or expired');
+  }
+
+  if (userId && draft.user.toString() !== userId.toString()) {
+    throw httpError(403, 'Access denied');
+  }
+
+  // Changes to existing bookings are confirmed by utils/modification
+  if (draft.booking) {
+    throw httpError(400, 'This payment order is for a change to an existing booking');
+  }
+
+  if (carId && draft.car.toString() !== carId.toString()) {
+    throw httpError(400, 'Booking details do not match the payment order');
+  }
+
+  if (provider && draft.paymentProvider !== provider) {
+    throw httpError(400, 'Booking details do not match the payment order');
+  }
+
+  if (paid && amountPaid !== Math.round(draft.totalAmount * 100)) {
+    throw httpError(400, 'Payment amount does not match the booking amount');
+  }
+
+  const car = await Car.findById(draft.car);
+  if (!car) {
+    throw httpError(404, 'Car not found');
+  }
+
+  if (!car.isAvailable) {
+    throw httpError(400, 'Car is not available');
+  }
+
+  // Re-check for overlapping bookings and save under the car's lock so
+  // concurrent confirmations for the same car cannot both succeed
+  let couponOverLimit = false;
+  const result = await withCarLock(draft.car, async () => {
+    // The browser and the webhook may race to confirm the same order
+    const confirmed = await Booking.findOne({ razorpayOrderId });
+    if (confirmed) {
+      return { booking: confirmed, created: false };
+    }
+
+    const available = await isCarFree(draft.car, draft.startAt, draft.endAt, {
+      excludeOrderId: razorpayOrderId
+    });
+    if (!available) {
+      throw httpError(409, 'Car is no longer available for the selected dates/times.');
+    }
+
+    // Create booking with confirmed status and the payment status the provider reported
+    const booking = new Booking({
+      user: draft.user,
+      car: draft.car,
+      startDate: draft.startDate,
+      endDate: draft.endDate,
+      startTime: draft.startTime,
+      endTime: draft.endTime,
+      totalAmount: draft.totalAmount,
+      bookingType: draft.bookingType,
+      duration: draft.duration,
+      priceBreakdown: draft.priceBreakdown,
+      coupon: draft.coupon,
+      pickupLocation: draft.pickupLocation,
+      dropoffLocation: draft.dropoffLocation,
+      pickupBranch: draft.pickupBranch,
+      dropoffBranch: draft.dropoffBranch,
+      specialRequests: draft.specialRequests,
+      status: 'confirmed', // Confirmed after successful payment
+      statusHistory: [{ to: 'confirmed', changedBy: userId, reason: paid ? 'Payment received' : 'Pay at pickup' }],
+      paymentStatus: paid ? 'paid' : 'pending',
+      paymentProvider: draft.paymentProvider,
+      razorpayPaymentId, // Store payment ID
+      razorpayOrderId,   // Store order ID
+    });
+
+    // The coupon counts as used only now that the booking is confirmed. Its
+    // last use, or the customer's, may have been taken by another
+    // confirmation since the order: an unpaid order is refused, but a payment
+    // already captured at the discounted price is honoured and the overuse
+    // recorded for review
+    const couponId = draft.coupon?.couponId;
+    if (couponId && !(await redeemCoupon(couponId, draft.user))) {
+      if (!paid) {
+        throw httpError(409, 'Coupon can no longer be used');
+      }
+      couponOverLimit = true;
+      await redeemCoupon(couponId, draft.user, { overLimit: true });
+    }
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (couponId) {
+        await unredeemCoupon(couponId);
+      }
+      throw error;
+    }
+    return { booking, created: true };
+  });
+
+  if (!result.created) {
+    return result;
+  }
+
+  if (couponOverLimit) {
+    await recordAudit(null, {
+      action: 'coupon.over_limit',
+      entityType: 'Booking',
+      entityId: result.booking._id,
+      metadata: { couponId: draft.coupon.couponId, code: draft.coupon.code, orderId: razorpayOrderId }
+    });
+  }
+
+  // Update car's total bookings
+  await Car.findByIdAndUpdate(draft.car, { $inc: { totalBookings: 1 } });
+
+  // The confirmed booking now holds the slot
+  await releaseHold(razorpayOrderId);
+
+  return result;
+};
+
+module.exports = {
+  overlapFilter,
+  findOverlappingBooking,
+  isCarFree,
+  findUnavailableCarIds,
+  getCarAvailability,
+  releaseHold,
+  getDraftTtlMinutes,
+  confirmDraftPayment
+};
@@ -0,0 +1,80 @@
+const Branch = require('../models/Branch');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const httpError = require('./httpError');
+const { ACTIVE_BOOKING_STATUSES } = require('./bookingStatus');
+
+// Branch the car will be at by the given time: where the last booking ending
+// by then returns it, or failing that where it is now
+const getExpectedBranch = async (car, at) => {
+  const previous = await Booking.findOne({
+    car: car._id,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    endAt: { $lte: at },
+    dropoffBranch: { $exists: true }
+  })
+    .sort({ endAt: -1 })
+    .select('dropoffBranch');
+
+  return previous ? previous.dropoffBranch : car.currentBranch || car.homeBranch;
+};
+
+// Load and check the pickup and dropoff branches of a rental: both must be
+// active and open at the pickup and return times, and the car must be picked
+// up where it will be by then
+const resolveBranches = async ({ car, pickupBranchId, dropoffBranchId, startAt, endAt }) => {
+  const [pickupBranch, dropoffBranch] = await Promise.all([
+    Branch.findOne({ _id: pickupBranchId, isActive: true }),
+    Branch.findOne({ _id: dropoffBranchId, isActive: true })
+  ]);
+
+  if (!pickupBranch) {
+    throw httpError(400, 'Pickup branch not found or inactive');
+  }
+  if (!dropoffBranch) {
+    throw httpError(400, 'Dropoff branch not found or inactive');
+  }
+
+  const carBranch = await getExpectedBranch(car, startAt);
+  if (carBranch && carBranch.toString() !== pickupBranch._id.toString()) {
+    throw httpError(400, 'This car must be picked up from the branch it will be at');
+  }
+
+  if (!pickupBranch.isOpenAt(startAt)) {
+    throw httpError(400, `${pickupBranch.name} is closed at the selected pickup time`);
+  }
+  if (!dropoffBranch.isOpenAt(endAt)) {
+    throw httpError(400, `${dropoffBranch.name} is closed at the selected dropoff time`);
+  }
+
+  return {
+    pickupBranch,
+    dropoffBranch,
+    oneWay: pickupBranch._id.toString() !== dropoffBranch._id.toString()
+  };
+};
+
+// GeoJSON point from latitude/longitude values
+const toPoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [parseFloat(longitude), parseFloat(latitude)]
+});
+
+// Where a car at the branch can be picked up, if the branch has coordinates
+const branchPoint = (branch) => {
+  return branch && branch.coordinates && branch.coordinates.coordinates
+    ? { type: 'Point', coordinates: branch.coordinates.coordinates }
+    : undefined;
+};
+
+// Record that a car is now at the branch, moving its pickup point with it
+const moveCarToBranch = async (carId, branchId) => {
+  const branch = await Branch.findById(branchId);
+  const point = branchPoint(branch);
+  const update = point
+    ? { currentBranch: branchId, coordinates: point }
+    : { currentBranch: branchId, $unset: { coordinates: 1 } };
+  return Car.findByIdAndUpdate(carId, update, { new: true });
+};
+
+module.exports = { getExpectedBranch, resolveBranches, toPoint, branchPoint, moveCarToBranch };
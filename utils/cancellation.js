@@ -0,0 +1,123 @@
+const Booking = require('../models/Booking');
+const httpError = require('./httpError');
+const { planRefunds, sendRefund } = require('./refunds');
+const { checkTransition, transitionBooking } = require('./bookingStatus');
+
+// Refund tiers as "hoursBeforeStart:percent" pairs, e.g. "24:100,0:50" refunds
+// everything when cancelled 24h or more before the start, half up to the start
+// and nothing afterwards
+const DEFAULT_POLICY = '24:100,0:50';
+
+const getCancellationPolicy = () => {
+  return (process.env.CANCELLATION_POLICY || DEFAULT_POLICY)
+    .split(',')
+    .map(tier => {
+      const [hours, percent] = tier.split(':').map(Number);
+      return { hoursBeforeStart: hours, refundPercent: percent };
+    })
+    .filter(tier => !isNaN(tier.hoursBeforeStart) && !isNaN(tier.refundPercent))
+    .sort((a, b) => b.hoursBeforeStart - a.hoursBeforeStart);
+};
+
+// Amount refundable for cancelling the booking at the given time
+const calculateRefundAmount = (booking, now = new Date()) => {
+  const hoursBeforeStart = ((booking.startAt || new Date(booking.startDate)) - now) / (1000 * 60 * 60);
+  const tier = getCancellationPolicy().find(t => hoursBeforeStart >= t.hoursBeforeStart);
+  const refundPercent = tier ? tier.refundPercent : 0;
+  return Math.round(booking.totalAmount * refundPercent) / 100;
+};
+
+// Send the planned refunds one by one. A refund the provider rejects is kept as
+// failed so staff can settle it by hand; the others still go through.
+const sendCancellationRefunds = async (booking, planned) => {
+  const parts = [];
+  for (const refund of planned) {
+    try {
+      parts.push(await sendRefund(refund, { bookingId: booking.bookingId, reason: 'Booking cancelled' }));
+    } catch (error) {
+      console.error(`Refund error for booking ${booking.bookingId}:`, error);
+      parts.push({ paymentId: refund.paymentId, amount: refund.amount, status: 'failed', requestedAt: new Date() });
+    }
+  }
+  return parts;
+};
+
+// Overall refund of a cancellation from its parts, one per payment refunded.
+// The ID recorded is that of the original payment's refund.
+const summarizeRefund = (booking, amount, parts) => {
+  const main = parts.find(part => part.paymentId === booking.razorpayPaymentId) || parts[0];
+  let status = 'pending';
+  if (parts.some(part => part.status === 'failed')) {
+    status = 'failed';
+  } else if (parts.every(part => part.status === 'processed')) {
+    status = 'processed';
+  }
+
+  return {
+    razorpayRefundId: main.razorpayRefundId,
+    amount,
+    status,
+    requestedAt: main.requestedAt,
+    processedAt: status === 'processed' ? new Date() : undefined,
+    parts
+  };
+};
+
+// Cancel the booking and refund what the policy allows through its payment provider.
+// `forceFullRefund` bypasses the policy for admin-initiated cancellations.
+//
+// The cancellation is claimed with a single update guarded on the status the
+// booking was read with (and on its changes, which decide the payments
+// refunded), so of two concurrent cancellations only one refunds. The refunds
+// are saved as pending with the claim and only then sent, like the surplus
+// refunds of booking changes.
+const cancelBooking = async (booking, { forceFullRefund = false, reason, changedBy } = {}) => {
+  checkTransition(booking, 'cancelled', { reason });
+
+  let amount = 0;
+  let planned = [];
+  if (booking.paymentStatus === 'paid' && booking.razorpayPaymentId) {
+    amount = forceFullRefund ? booking.totalAmount : calculateRefundAmount(booking);
+    if (amount > 0) {
+      // A changed booking may have been paid in several parts
+      planned = planRefunds(booking, amount);
+    }
+  }
+
+  const from = booking.status;
+  const modificationCount = booking.modifications.length;
+  transitionBooking(booking, 'cancelled', { reason, changedBy });
+  const update = {
+    $set: { status: booking.status },
+    $push: { statusHistory: booking.statusHistory[booking.statusHistory.length - 1].toObject() }
+  };
+  if (planned.length) {
+    const requestedAt = new Date();
+    update.$set.refund = {
+      amount,
+      status: 'pending',
+      requestedAt,
+      parts: planned.map(refund => ({ paymentId: refund.paymentId, amount: refund.amount, status: 'pending', requestedAt }))
+    };
+    update.$set.paymentStatus = amount >= booking.totalAmount ? 'refunded' : 'partially_refunded';
+  }
+
+  const claim = await Booking.updateOne(
+    { _id: booking._id, status: from, modifications: { $size: modificationCount } },
+    update
+  );
+  if (claim.modifiedCount !== 1) {
+    throw httpError(409, 'The booking was changed or cancelled meanwhile; please reload it and try again');
+  }
+  if (!planned.length) {
+    return booking;
+  }
+
+  booking.paymentStatus = update.$set.paymentStatus;
+  const parts = await sendCancellationRefunds(booking, planned);
+  booking.refund = summarizeRefund(booking, amount, parts);
+  await Booking.updateOne({ _id: booking._id }, { $set: { refund: booking.refund } });
+  return booking;
+};
+
+module.exports = { getCancellationPolicy, calculateRefundAmount, cancelBooking };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const CarLock = require('../models/CarLock');
+const httpError = require('./httpError');
+
+const LOCK_TTL_MS = 10 * 1000; // A lock older than this is considered abandoned
+const LOCK_WAIT_MS = 5 * 1000; // How long to wait for another request to finish
+const RETRY_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Try to take the car's lock once. The unique index on `car` makes the upsert
+// fail with a duplicate key error while someone else holds an unexpired lock.
+const tryAcquire = async (carId, owner) => {
+  const now = new Date();
+  try {
+    await CarLock.findOneAndUpdate(
+      { car: carId, expiresAt: { $lte: now } },
+      { car: carId, owner, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Run `fn` while holding the lock of the given car
+const withCarLock = async (carId, fn) => {
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (!(await tryAcquire(carId, owner))) {
+    if (Date.now() >= deadline) {
+      throw httpError(409, 'Car is being booked by someone else, please try again.');
+    }
+    await sleep(RETRY_DELAY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await CarLock.deleteOne({ car: carId, owner });
+  }
+};
+
+module.exports = { withCarLock };
@@ -0,0 +1,113 @@
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const BookingDraft = require('../models/BookingDraft');
+const httpError = require('./httpError');
+
+const matchesIgnoringCase = (values, value) => {
+  return values.some(v => v.toLowerCase() === String(value || '').toLowerCase());
+};
+
+// Times the customer has used the coupon on confirmed bookings, plus with
+// `openOrders` the new-booking checkouts of theirs still awaiting payment
+const countUserRedemptions = async (couponId, userId, { openOrders = false, exceptCar, now = new Date() } = {}) => {
+  const [bookings, drafts] = await Promise.all([
+    Booking.countDocuments({ user: userId, 'coupon.couponId': couponId }),
+    openOrders
+      ? BookingDraft.countDocuments({
+        user: userId,
+        'coupon.couponId': couponId,
+        booking: { $exists: false },
+        expiresAt: { $gt: now },
+        ...(exceptCar ? { car: { $ne: exceptCar } } : {})
+      })
+      : 0
+  ]);
+  return bookings + drafts;
+};
+
+// Look up a coupon and work out its discount for the booking, throwing a 400
+// error that explains why it cannot be used
+const applyCoupon = async (code, { userId, car, amount, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase(), isActive: true });
+  if (!coupon) {
+    throw httpError(400, 'Invalid coupon code');
+  }
+
+  if (now < coupon.validFrom || now > coupon.validUntil) {
+    throw httpError(400, 'Coupon is not valid at this time');
+  }
+
+  if (amount < coupon.minBookingAmount) {
+    throw httpError(400, `Coupon requires a minimum booking amount of ₹${coupon.minBookingAmount}`);
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, 'Coupon usage limit has been reached');
+  }
+
+  if (coupon.cars.length && !coupon.cars.some(id => id.toString() === car._id.toString())) {
+    throw httpError(400, 'Coupon is not valid for this car');
+  }
+
+  if (coupon.brands.length && !matchesIgnoringCase(coupon.brands, car.brand)) {
+    throw httpError(400, 'Coupon is not valid for this car brand');
+  }
+
+  if (coupon.locations.length && !matchesIgnoringCase(coupon.locations, car.location)) {
+    throw httpError(400, 'Coupon is not valid at this location');
+  }
+
+  // Checkouts still awaiting payment count too, except the hold on this car,
+  // which the new order replaces
+  const timesUsed = await countUserRedemptions(coupon._id, userId, { openOrders: true, exceptCar: car._id, now });
+  if (timesUsed >= coupon.perUserLimit) {
+    throw httpError(400, 'You have already used this coupon');
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? amount * coupon.discountValue / 100
+    : coupon.discountValue;
+  if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.round(Math.min(discount, amount) * 100) / 100;
+
+  return { coupon, discount };
+};
+
+// Count the customer's redemption as the booking it was applied to is
+// confirmed. Only counts while the coupon is under its usage limit and the
+// customer under theirs; the usage limit is checked in the update itself, so
+// concurrent confirmations can't push it past. Resolves to whether it was
+// counted. With `overLimit` it is counted regardless, for a payment already
+// captured at the discounted price.
+const redeemCoupon = async (couponId, userId, { overLimit = false } = {}) => {
+  if (overLimit) {
+    await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    return true;
+  }
+
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon || await countUserRedemptions(couponId, userId) >= coupon.perUserLimit) {
+    return false;
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Undo a redemption whose booking could not be saved
+const unredeemCoupon = (couponId) => {
+  return Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+module.exports = { countUserRedemptions, applyCoupon, redeemCoupon, unredeemCoupon };
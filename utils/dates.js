@@ -0,0 +1,131 @@
+// Booking dates and times are entered as wall-clock values in the business
+// timezone and stored as UTC instants. Only Intl is used, so the result does
+// not depend on the server's own timezone.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getBusinessTimezone = () => process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (date, timeZone = getBusinessTimezone()) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimezoneOffsetMs = (date, timeZone = getBusinessTimezone()) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Calendar date (YYYY-MM-DD) of a value. Date objects are stored date-only
+// fields (UTC midnight of the calendar date), date-only strings are taken as
+// they are and full timestamps are converted to the business timezone.
+const toBusinessDate = (value, timeZone = getBusinessTimezone()) => {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const p = getZonedParts(new Date(value), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+// Add days to a YYYY-MM-DD calendar date
+const addDays = (day, days) => {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// UTC instant of a wall-clock date and HH:MM time in the business timezone
+const combineDateTime = (date, time, timeZone = getBusinessTimezone()) => {
+  const [year, month, day] = toBusinessDate(date, timeZone).split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the offset, then again in case the first guess crossed a DST change
+  let instant = wallClock - getTimezoneOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - getTimezoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+// ISO 8601 representation of an instant in the business timezone, with offset
+const formatInTimezone = (date, timeZone = getBusinessTimezone()) => {
+  if (!date) {
+    return undefined;
+  }
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const offsetMinutes = Math.round(getTimezoneOffsetMs(instant, timeZone) / 60000);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+};
+
+// Start of the business-timezone month containing the instant, plus `monthOffset` months
+const startOfMonth = (date, monthOffset = 0, timeZone = getBusinessTimezone()) => {
+  const p = getZonedParts(date, timeZone);
+  const first = new Date(Date.UTC(p.year, p.month - 1 + monthOffset, 1)).toISOString().slice(0, 10);
+  return combineDateTime(first, '00:00', timeZone);
+};
+
+// Instant from a query/body value; date-only values are business-timezone midnights
+const parseInstant = (value) => {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? combineDateTime(value, '00:00') : new Date(value);
+};
+
+// Period covered by date params with optional HH:MM times; without times it
+// spans the whole of the start and end days
+const getRequestedPeriod = ({ startDate, endDate, startTime, endTime }) => {
+  const start = combineDateTime(startDate, startTime || '00:00');
+  const end = endTime
+    ? combineDateTime(endDate, endTime)
+    : combineDateTime(addDays(toBusinessDate(endDate), 1), '00:00');
+  return { start, end };
+};
+
+module.exports = {
+  DAY_MS,
+  getBusinessTimezone,
+  getZonedParts,
+  toBusinessDate,
+  addDays,
+  combineDateTime,
+  formatInTimezone,
+  startOfMonth,
+  parseInstant,
+  getRequestedPeriod
+};
@@ -0,0 +1,8 @@
+// Create an error carrying the HTTP status a route should respond with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = httpError;
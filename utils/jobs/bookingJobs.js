@@ -0,0 +1,176 @@
+const Booking = require('../../models/Booking');
+const { transitionBooking } = require('../bookingStatus');
+const { moveCarToBranch } = require('../branches');
+const { snapshot, recordAudit } = require('../audit');
+const { sendPickupReminderEmail } = require('../mail/messages');
+
+// Bookings handled per run; anything left over is picked up by the next run
+const BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getCompletionGraceHours = () => Number(process.env.AUTO_COMPLETE_GRACE_HOURS) || 2;
+const getPendingTtlHours = () => Number(process.env.PENDING_BOOKING_TTL_HOURS) || 24;
+const getReminderHours = () => Number(process.env.PICKUP_REMINDER_HOURS) || 24;
+
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+// Older bookings may only have the date fields
+const endedBefore = (cutoff) => ({
+  $or: [
+    { endAt: { $lte: cutoff } },
+    { endAt: { $exists: false }, endDate: { $lte: cutoff } }
+  ]
+});
+
+// Close bookings whose rental period ended more than the grace period ago.
+// Rentals in progress are completed and bookings never picked up become
+// no-shows. Paid ones are also flagged for staff review, since the car may
+// have been handed over without the pickup being recorded.
+const completeFinishedBookings = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - getCompletionGraceHours() * HOUR_MS);
+  const bookings = await Booking.find({
+    $and: [endedBefore(cutoff), { status: { $in: ['confirmed', 'active'] } }]
+  })
+    .sort({ endAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const result = { completed: 0, noShow: 0, flaggedForReview: 0, failed: 0 };
+  for (const booking of bookings) {
+    try {
+      const before = snapshot(booking);
+      const completing = booking.status === 'active';
+      const paid = PAID_STATUSES.includes(booking.paymentStatus);
+      if (completing) {
+        transitionBooking(booking, 'completed', { reason: 'Rental period ended', now });
+      } else {
+        transitionBooking(booking, 'no_show', {
+          reason: paid ? 'Not picked up; paid, awaiting staff review' : 'Not picked up',
+          now
+        });
+        booking.needsReview = paid;
+      }
+      await booking.save();
+
+      if (completing) {
+        result.completed++;
+        if (booking.dropoffBranch) {
+          await moveCarToBranch(booking.car, booking.dropoffBranch);
+        }
+      } else {
+        result.noShow++;
+        if (paid) {
+          result.flaggedForReview++;
+        }
+      }
+      await recordAudit(null, {
+        action: completing ? 'booking.auto_complete' : 'booking.auto_no_show',
+        entityType: 'Booking',
+        entityId: booking._id,
+        before,
+        after: booking
+      });
+    } catch (error) {
+      console.error(`Auto-complete error for booking ${booking.bookingId}:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+// Cancel bookings left pending (unpaid) for too long, so they stop blocking
+// the car
+const expireStalePendingBookings = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - getPendingTtlHours() * HOUR_MS);
+  const bookings = await Booking.find({
+    status: 'pending',
+    paymentStatus: { $in: ['pending', 'failed'] },
+    $or: [{ createdAt: { $lte: cutoff } }, { startAt: { $lte: now } }]
+  })
+    .limit(BATCH_SIZE);
+
+  const result = { expired: 0, failed: 0 };
+  for (const booking of bookings) {
+    try {
+      const before = snapshot(booking);
+      transitionBooking(booking, 'cancelled', { reason: 'Payment not completed', now });
+      booking.paymentStatus = 'failed';
+      await booking.save();
+      await recordAudit(null, {
+        action: 'booking.expire',
+        entityType: 'Booking',
+        entityId: booking._id,
+        before,
+        after: booking
+      });
+      result.expired++;
+    } catch (error) {
+      console.error(`Expiry error for booking ${booking.bookingId}:`, error);
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+// Email customers whose pickup is coming up. Each booking is claimed by
+// setting pickupReminderSentAt first, so it is reminded at most once
+const sendPickupReminders = async () => {
+  const now = new Date();
+  const until = new Date(now.getTime() + getReminderHours() * HOUR_MS);
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    startAt: { $gt: now, $lte: until },
+    pickupReminderSentAt: { $exists: false }
+  })
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  const result = { sent: 0, failed: 0 };
+  for (const { _id } of bookings) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id, pickupReminderSentAt: { $exists: false } },
+      { pickupReminderSentAt: now },
+      { new: true }
+    ).populate('user', 'name email isActive')
+      .populate('car', 'title brand model year')
+      .populate('pickupBranch', 'name address city phone');
+
+    if (!booking || !booking.user || booking.user.isActive === false) {
+      continue;
+    }
+
+    try {
+      await sendPickupReminderEmail(booking.user, booking);
+      result.sent++;
+    } catch (error) {
+      console.error(`Pickup reminder error for booking ${booking.bookingId}:`, error);
+      // Let the next run try again
+      await Booking.updateOne({ _id }, { $unset: { pickupReminderSentAt: 1 } });
+      result.failed++;
+    }
+  }
+  return result;
+};
+
+module.exports = [
+  {
+    name: 'complete-finished-bookings',
+    description: 'Complete rentals whose period has ended and mark bookings never picked up as no-shows',
+    intervalMinutes: 15,
+    run: completeFinishedBookings
+  },
+  {
+    name: 'expire-pending-bookings',
+    description: 'Cancel bookings left unpaid in pending status',
+    intervalMinutes: 10,
+    run: expireStalePendingBookings
+  },
+  {
+    name: 'send-pickup-reminders',
+    description: 'Email customers whose pickup is within the reminder window',
+    intervalMinutes: 15,
+    run: sendPickupReminders
+  }
+];
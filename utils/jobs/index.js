@@ -0,0 +1,166 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../../models/Job');
+const httpError = require('../httpError');
+const bookingJobs = require('./bookingJobs');
+
+// Every job has: name, description, intervalMinutes and run(), which resolves
+// to a summary of what it did
+const jobs = [...bookingJobs];
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// A run holding its lock longer than this is assumed to have crashed
+const LOCK_MINUTES = 10;
+
+const getTickSeconds = () => Number(process.env.JOB_TICK_SECONDS) || 30;
+
+const getJob = (name) => jobs.find(job => job.name === name);
+
+// Create the state records of jobs that have never run
+const ensureJobRecords = () => {
+  return Promise.all(jobs.map(job => (
+    Job.updateOne({ name: job.name }, { $setOnInsert: { name: job.name } }, { upsert: true })
+      .catch(error => {
+        // Another instance created it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      })
+  )));
+};
+
+// Take a job's lock. Scheduled runs only take it when the job is enabled and
+// due; manual runs take it whenever no other run holds it. Resolves to null
+// when the lock wasn't taken
+const claimJob = (name, { manual = false, triggeredBy } = {}) => {
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (!manual) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  const update = {
+    lockedBy: INSTANCE_ID,
+    lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+    lastRunAt: now,
+    lastStatus: 'running'
+  };
+  if (triggeredBy) {
+    update.lastTriggeredBy = triggeredBy;
+  } else {
+    update.$unset = { lastTriggeredBy: 1 };
+  }
+
+  return Job.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Run a claimed job, store the outcome and release the lock
+const runClaimedJob = async (job) => {
+  const startedAt = Date.now();
+  const finished = {
+    lastFinishedAt: new Date(),
+    nextRunAt: new Date(Date.now() + job.intervalMinutes * 60 * 1000),
+    $unset: { lockedBy: 1, lockedUntil: 1 }
+  };
+
+  try {
+    const result = await job.run();
+    finished.lastFinishedAt = new Date();
+    await Job.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, {
+      ...finished,
+      lastStatus: 'succeeded',
+      lastResult: result,
+      $unset: { ...finished.$unset, lastError: 1 },
+      $inc: { runCount: 1 }
+    });
+    return { status: 'succeeded', result, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    finished.lastFinishedAt = new Date();
+    await Job.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, {
+      ...finished,
+      lastStatus: 'failed',
+      lastError: error.message,
+      $inc: { runCount: 1, failureCount: 1 }
+    });
+    return { status: 'failed', error: error.message, durationMs: Date.now() - startedAt };
+  }
+};
+
+let ticking = false;
+
+// Run every job that is due and not running elsewhere
+const tick = async () => {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+  try {
+    for (const job of jobs) {
+      if (await claimJob(job.name)) {
+        await runClaimedJob(job);
+      }
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start running jobs in this process; set JOBS_ENABLED=false to leave them to
+// other instances
+const startScheduler = async () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return;
+  }
+  await ensureJobRecords();
+  setInterval(tick, getTickSeconds() * 1000).unref();
+  tick();
+  console.log(`Job scheduler started (${jobs.map(job => job.name).join(', ')})`);
+};
+
+// Run a job now, e.g. from the admin API
+const triggerJob = async (name, { triggeredBy } = {}) => {
+  const job = getJob(name);
+  if (!job) {
+    throw httpError(404, 'Job not found');
+  }
+
+  await ensureJobRecords();
+  if (!(await claimJob(name, { manual: true, triggeredBy }))) {
+    throw httpError(409, 'Job is already running');
+  }
+  return runClaimedJob(job);
+};
+
+// Definitions merged with their persisted state
+const getJobStatuses = async () => {
+  const records = await Job.find({ name: { $in: jobs.map(job => job.name) } })
+    .populate('lastTriggeredBy', 'name email');
+  return jobs.map(job => {
+    const record = records.find(r => r.name === job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMinutes: job.intervalMinutes,
+      ...(record ? record.toObject() : { enabled: true })
+    };
+  });
+};
+
+const setJobEnabled = async (name, enabled) => {
+  if (!getJob(name)) {
+    throw httpError(404, 'Job not found');
+  }
+  await ensureJobRecords();
+  return Job.findOneAndUpdate({ name }, { enabled }, { new: true });
+};
+
+module.exports = { startScheduler, triggerJob, getJobStatuses, setJobEnabled };
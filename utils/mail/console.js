@@ -0,0 +1,8 @@
+// Prints mail to the server log, for local development
+module.exports = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+  }
+};
@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each mail as a JSON file under MAIL_DIR, so local tools and tests can
+// read the links out of it
+const getMailDir = () => path.resolve(process.env.MAIL_DIR || 'mail');
+
+module.exports = {
+  name: 'file',
+
+  async send(message) {
+    const sentAt = new Date();
+    const fileName = `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+    await fs.mkdir(getMailDir(), { recursive: true });
+    await fs.writeFile(
+      path.join(getMailDir(), fileName),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+  },
+
+  getMailDir
+};
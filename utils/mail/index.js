@@ -0,0 +1,39 @@
+const consoleTransport = require('./console');
+const file = require('./file');
+const smtp = require('./smtp');
+
+// Every transport implements: name and send({ to, subject, text })
+const transports = { console: consoleTransport, file, smtp };
+
+const MAIL_TRANSPORTS = Object.keys(transports);
+
+// MAIL_TRANSPORT, defaulting to console outside production. Production must
+// set it: the console transport would leave mail, tokens and all, in the log
+// instead of delivering it
+const getConfiguredTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+// Transport by name, or the one selected by MAIL_TRANSPORT
+const getMailTransport = (name = getConfiguredTransportName()) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'CarGo <no-reply@cargo.local>',
+    ...message
+  });
+};
+
+module.exports = { getMailTransport, sendMail, MAIL_TRANSPORTS };
@@ -0,0 +1,51 @@
+const { sendMail } = require('./index');
+const { getBusinessTimezone } = require('../dates');
+
+// Links in emails point at the frontend, which calls the API with the token
+const getAppUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = (user, token, email = user.email) => {
+  const link = `${getAppUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: email,
+    subject: 'Verify your CarGo email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\n` +
+      'If you did not create a CarGo account, you can ignore this email.'
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${getAppUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your CarGo password',
+    text: `Hi ${user.name},\n\nYou can choose a new password by opening the link below:\n\n${link}\n\n` +
+      'The link can be used once and expires soon. If you did not ask for a password reset, you can ignore this email.'
+  });
+};
+
+// Expects the booking's car and pickupBranch to be populated
+const sendPickupReminderEmail = (user, booking) => {
+  const pickupTime = new Intl.DateTimeFormat('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: getBusinessTimezone()
+  }).format(booking.startAt);
+  const car = booking.car ? booking.car.title : 'your car';
+  const branch = booking.pickupBranch;
+  const where = branch
+    ? `${branch.name}, ${branch.address}, ${branch.city}${branch.phone ? ` (phone ${branch.phone})` : ''}`
+    : booking.pickupLocation;
+
+  return sendMail({
+    to: user.email,
+    subject: `Your CarGo pickup on ${pickupTime}`,
+    text: `Hi ${user.name},\n\nThis is a reminder that you are picking up ${car} on ${pickupTime}.\n\n` +
+      `Pickup: ${where}\nBooking ID: ${booking.bookingId}\n\n` +
+      `Please bring your driving licence.${booking.paymentProvider === 'cash' && booking.paymentStatus !== 'paid'
+        ? ` The amount due at pickup is Rs. ${booking.totalAmount}.` : ''}\n\n` +
+      `You can see the booking at ${getAppUrl()}/bookings/${booking._id}`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendPickupReminderEmail };
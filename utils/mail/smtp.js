@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// Created on first use so the app can start without SMTP settings when
+// another transport is configured
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+
+  async send({ from, to, subject, text }) {
+    await getTransporter().sendMail({ from, to, subject, text });
+  }
+};
@@ -0,0 +1,395 @@
+const Booking = require('../models/Booking');
+const BookingDraft = require('../models/BookingDraft');
+const Branch = require('../models/Branch');
+const Car = require('../models/Car');
+const httpError = require('./httpError');
+const { withCarLock } = require('./carLock');
+const { isCarFree, releaseHold, getDraftTtlMinutes } = require('./bookings');
+const { getQuote } = require('./pricing');
+const { getPaymentProvider } = require('./payments');
+const { planRefunds, sendRefund } = require('./refunds');
+const { snapshot } = require('./audit');
+const { combineDateTime, toBusinessDate } = require('./dates');
+
+// Bookings whose rental window can still change; a rental in progress can
+// only have its return time changed
+const MODIFIABLE_STATUSES = ['confirmed', 'active'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Booked window; older bookings may only have the date and time fields
+const getBookedWindow = (booking) => ({
+  startAt: booking.startAt || combineDateTime(booking.startDate, booking.startTime),
+  endAt: booking.endAt || combineDateTime(booking.endDate, booking.endTime)
+});
+
+// Work out the new window and price of a change to the booking. `changes` may
+// hold startDate, endDate, startTime, endTime and bookingType; anything left
+// out stays as booked. The new window is priced like a new order, keeping the
+// discount of a coupon used on the original booking.
+const quoteModification = async (booking, changes, { type = 'reschedule', now = new Date() } = {}) => {
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    throw httpError(400, `Only confirmed or active bookings can be changed; this booking is ${booking.status}`);
+  }
+
+  const details = {
+    startDate: toBusinessDate(changes.startDate || booking.startDate),
+    endDate: toBusinessDate(changes.endDate || booking.endDate),
+    startTime: changes.startTime || booking.startTime,
+    endTime: changes.endTime || booking.endTime,
+    bookingType: changes.bookingType || booking.bookingType
+  };
+  const startAt = combineDateTime(details.startDate, details.startTime);
+  const endAt = combineDateTime(details.endDate, details.endTime);
+  const booked = getBookedWindow(booking);
+  const startChanged = startAt.getTime() !== booked.startAt.getTime();
+
+  if (endAt <= startAt) {
+    throw httpError(400, 'End date and time must be after start date and time');
+  }
+  if (!startChanged && endAt.getTime() === booked.endAt.getTime() && details.bookingType === booking.bookingType) {
+    throw httpError(400, 'The booking already has these dates and times');
+  }
+  if (type === 'extension' && (startChanged || endAt <= booked.endAt)) {
+    throw httpError(400, 'An extension must keep the pickup time and end after the current return time');
+  }
+  if (startChanged && booking.status === 'active') {
+    throw httpError(400, 'The pickup time of a rental in progress cannot be changed');
+  }
+  if (startChanged && startAt <= now) {
+    throw httpError(400, 'The new pickup time must be in the future');
+  }
+  if (endAt <= now) {
+    throw httpError(400, 'The new return time must be in the future');
+  }
+
+  const [car, pickupBranch, dropoffBranch] = await Promise.all([
+    Car.findById(booking.car),
+    booking.pickupBranch ? Branch.findById(booking.pickupBranch) : null,
+    booking.dropoffBranch ? Branch.findById(booking.dropoffBranch) : null
+  ]);
+  if (!car) {
+    throw httpError(404, 'Car not found');
+  }
+  if (startChanged && pickupBranch && !pickupBranch.isOpenAt(startAt)) {
+    throw httpError(400, `${pickupBranch.name} is closed at the selected pickup time`);
+  }
+  if (dropoffBranch && !dropoffBranch.isOpenAt(endAt)) {
+    throw httpError(400, `${dropoffBranch.name} is closed at the selected dropoff time`);
+  }
+
+  const oneWay = !!(booking.pickupBranch && booking.dropoffBranch &&
+    booking.pickupBranch.toString() !== booking.dropoffBranch.toString());
+  const quote = await getQuote(car, { ...details, oneWay });
+  const priceBreakdown = [...quote.items];
+  let totalAmount = quote.totalAmount;
+
+  if (booking.coupon?.discountAmount) {
+    priceBreakdown.push({ label: `Coupon ${booking.coupon.code}`, amount: -booking.coupon.discountAmount });
+    totalAmount = roundAmount(totalAmount - booking.coupon.discountAmount);
+  }
+  if (totalAmount <= 0) {
+    throw httpError(400, 'Calculated total amount is zero or negative.');
+  }
+
+  return {
+    ...details,
+    startAt,
+    endAt,
+    bookingType: quote.bookingType, // Daily when the engine switched to the cheaper rate
+    duration: quote.duration,
+    priceBreakdown,
+    totalAmount,
+    difference: roundAmount(totalAmount - booking.totalAmount),
+    quote
+  };
+};
+
+// Change the booking to the new window and price and record the change; the
+// caller saves
+const applyModification = (booking, change, { type, payment, refunds = [], changedBy, now = new Date() }) => {
+  const booked = getBookedWindow(booking);
+  const startChanged = change.startAt.getTime() !== booked.startAt.getTime();
+
+  booking.modifications.push({
+    type,
+    previous: { ...booked, totalAmount: booking.totalAmount },
+    startAt: change.startAt,
+    endAt: change.endAt,
+    totalAmount: change.totalAmount,
+    difference: roundAmount(change.totalAmount - booking.totalAmount),
+    priceBreakdown: change.priceBreakdown,
+    paymentProvider: payment?.provider,
+    razorpayOrderId: payment?.orderId,
+    razorpayPaymentId: payment?.paymentId,
+    refunds,
+    requestedBy: changedBy,
+    appliedAt: now
+  });
+
+  booking.startDate = change.startDate;
+  booking.endDate = change.endDate;
+  booking.startTime = change.startTime;
+  booking.endTime = change.endTime;
+  booking.bookingType = change.bookingType;
+  booking.duration = change.duration;
+  booking.priceBreakdown = change.priceBreakdown;
+  booking.totalAmount = change.totalAmount;
+
+  // A new pickup time deserves a new reminder
+  if (startChanged) {
+    booking.pickupReminderSentAt = undefined;
+  }
+
+  return booking.modifications[booking.modifications.length - 1];
+};
+
+// Whether the change is paid for through a new payment order rather than
+// applied at once. Pay-at-pickup bookings not yet paid are changed at once;
+// the new total is due at pickup.
+const needsPayment = (booking, change) => {
+  const unpaidCash = booking.paymentProvider === 'cash' && booking.paymentStatus === 'pending';
+  return change.difference > 0 && !unpaidCash;
+};
+
+// Send the refunds planned for an applied change and record how each went. A
+// refund the provider refuses is marked failed for staff to follow up; the
+// change itself stands.
+const sendModificationRefunds = async (booking, modification, planned) => {
+  const refunds = [];
+  for (const refund of planned) {
+    try {
+      refunds.push(await sendRefund(refund, { bookingId: booking.bookingId, reason: `Booking ${modification.type}` }));
+    } catch (error) {
+      console.error(`Refund error for booking ${booking.bookingId}:`, error);
+      refunds.push({ paymentId: refund.paymentId, amount: refund.amount, status: 'failed', requestedAt: new Date() });
+    }
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id, 'modifications._id': modification._id },
+    { $set: { 'modifications.$.refunds': refunds } }
+  );
+  modification.refunds = refunds;
+  return modification;
+};
+
+// Request a change to the rental window of the booking. Changes that cost the
+// same or less are applied at once, refunding any surplus. Changes that cost
+// more hold the new window while the customer pays the difference through a
+// new payment order, and are applied by confirmModificationPayment.
+//
+// The booking is re-read and re-priced under the car's lock, so concurrent
+// requests each see the changes made before them. Calls to the payment
+// provider happen outside the lock: the order is created before it (and
+// dropped if the price changed meanwhile), and refunds are sent after the
+// change is saved with them pending.
+const requestModification = async (bookingId, changes, { type = 'reschedule', changedBy } = {}) => {
+  const current = await Booking.findById(bookingId);
+  if (!current) {
+    throw httpError(404, 'Booking not found');
+  }
+
+  const quoted = await quoteModification(current, changes, { type });
+  let provider;
+  let order;
+  if (needsPayment(current, quoted)) {
+    // Extra charges of pay-at-pickup bookings already settled go through the
+    // online provider
+    provider = getPaymentProvider(current.paymentProvider === 'cash' ? undefined : current.paymentProvider);
+    if (provider.name === 'cash') {
+      throw httpError(400, 'The extra charge for this booking must be paid at the branch');
+    }
+
+    order = await provider.createOrder({
+      amount: Math.round(quoted.difference * 100), // amount in paise
+      currency: 'INR',
+      receipt: `receipt_change_${Date.now()}`,
+      notes: {
+        userId: current.user.toString(),
+        bookingId: current.bookingId
+      }
+    });
+  }
+
+  const result = await withCarLock(current.car, async () => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    const before = snapshot(booking);
+
+    const change = await quoteModification(booking, changes, { type });
+    if (needsPayment(booking, change) !== !!order || (order && change.difference !== quoted.difference)) {
+      throw httpError(409, 'The booking changed while this request was processed; please try again');
+    }
+
+    // A new request replaces an earlier one still awaiting payment
+    await BookingDraft.deleteMany({ booking: booking._id });
+
+    const available = await isCarFree(booking.car, change.startAt, change.endAt, { excludeBookingId: booking._id });
+    if (!available) {
+      throw httpError(409, 'Car is not available for the selected dates/times.');
+    }
+
+    if (!order) {
+      const planned = change.difference < 0 && booking.paymentStatus === 'paid'
+        ? planRefunds(booking, -change.difference)
+        : [];
+      const modification = applyModification(booking, change, {
+        type,
+        refunds: planned.map(refund => ({
+          paymentId: refund.paymentId,
+          amount: refund.amount,
+          status: 'pending',
+          requestedAt: new Date()
+        })),
+        changedBy
+      });
+      await booking.save();
+      return { before, change, booking, modification, planned };
+    }
+
+    const draft = new BookingDraft({
+      user: booking.user,
+      car: booking.car,
+      startDate: change.startDate,
+      endDate: change.endDate,
+      startTime: change.startTime,
+      endTime: change.endTime,
+      bookingType: change.bookingType,
+      duration: change.duration,
+      totalAmount: change.totalAmount,
+      priceBreakdown: change.priceBreakdown,
+      coupon: booking.coupon,
+      pickupLocation: booking.pickupLocation,
+      dropoffLocation: booking.dropoffLocation,
+      pickupBranch: booking.pickupBranch,
+      dropoffBranch: booking.dropoffBranch,
+      paymentProvider: provider.name,
+      booking: booking._id,
+      modificationType: type,
+      amountDue: change.difference,
+      razorpayOrderId: order.id,
+      expiresAt: new Date(Date.now() + getDraftTtlMinutes() * 60 * 1000)
+    });
+    await draft.save();
+
+    return { before, change, booking, order, draft, provider };
+  });
+
+  if (result.planned && result.planned.length) {
+    await sendModificationRefunds(result.booking, result.modification, result.planned);
+  }
+  return result;
+};
+
+// Whether a payment order pays for a change to an existing booking
+const isModificationOrder = async (razorpayOrderId) => {
+  const [draft, booking] = await Promise.all([
+    BookingDraft.exists({ razorpayOrderId, booking: { $exists: true } }),
+    Booking.exists({ 'modifications.razorpayOrderId': razorpayOrderId })
+  ]);
+  return !!(draft || booking);
+};
+
+const findModification = (booking, razorpayOrderId) => {
+  return booking.modifications.find(modification => modification.razorpayOrderId === razorpayOrderId);
+};
+
+// Apply a booking change once the difference is paid. Safe to call more than
+// once for the same order: the browser and the webhook may both report the
+// payment. `bookingId`, when given, must be the booking the order belongs to.
+const confirmModificationPayment = async ({
+  provider,
+  razorpayOrderId,
+  razorpayPaymentId,
+  amountPaid,
+  bookingId,
+  changedBy
+}) => {
+  const existing = await Booking.findOne({ 'modifications.razorpayOrderId': razorpayOrderId });
+  if (existing) {
+    if (bookingId && existing._id.toString() !== bookingId.toString()) {
+      throw httpError(400, 'Payment order does not belong to this booking');
+    }
+    return { booking: existing, modification: findModification(existing, razorpayOrderId), applied: false };
+  }
+
+  const draft = await BookingDraft.findOne({ razorpayOrderId, booking: { $exists: true } });
+  if (!draft || draft.isExpired()) {
+    throw httpError(400, 'Booking change not found or expired');
+  }
+
+  if (bookingId && draft.booking.toString() !== bookingId.toString()) {
+    throw httpError(400, 'Payment order does not belong to this booking');
+  }
+
+  if (provider && draft.paymentProvider !== provider) {
+    throw httpError(400, 'Booking details do not match the payment order');
+  }
+
+  if (amountPaid !== Math.round(draft.amountDue * 100)) {
+    throw httpError(400, 'Payment amount does not match the amount due');
+  }
+
+  const result = await withCarLock(draft.car, async () => {
+    // The browser and the webhook may race to confirm the same order
+    const confirmed = await Booking.findOne({ 'modifications.razorpayOrderId': razorpayOrderId });
+    if (confirmed) {
+      return { booking: confirmed, modification: findModification(confirmed, razorpayOrderId), applied: false };
+    }
+
+    const booking = await Booking.findById(draft.booking);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      throw httpError(409, `The booking can no longer be changed; it is ${booking.status}`);
+    }
+    if (roundAmount(booking.totalAmount + draft.amountDue) !== draft.totalAmount) {
+      throw httpError(409, 'The booking has changed since this payment order was created');
+    }
+
+    const available = await isCarFree(booking.car, draft.startAt, draft.endAt, {
+      excludeBookingId: booking._id,
+      excludeOrderId: razorpayOrderId
+    });
+    if (!available) {
+      throw httpError(409, 'Car is no longer available for the selected dates/times.');
+    }
+
+    const modification = applyModification(booking, {
+      startDate: draft.startDate,
+      endDate: draft.endDate,
+      startTime: draft.startTime,
+      endTime: draft.endTime,
+      startAt: draft.startAt,
+      endAt: draft.endAt,
+      bookingType: draft.bookingType,
+      duration: draft.duration,
+      priceBreakdown: draft.priceBreakdown,
+      totalAmount: draft.totalAmount
+    }, {
+      type: draft.modificationType,
+      payment: { provider: draft.paymentProvider, orderId: razorpayOrderId, paymentId: razorpayPaymentId },
+      changedBy
+    });
+    await booking.save();
+    return { booking, modification, applied: true };
+  });
+
+  if (result.applied) {
+    // The booking now holds the new window
+    await releaseHold(razorpayOrderId);
+  }
+  return result;
+};
+
+module.exports = {
+  MODIFIABLE_STATUSES,
+  quoteModification,
+  requestModification,
+  isModificationOrder,
+  confirmModificationPayment
+};
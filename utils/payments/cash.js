@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const httpError = require('../httpError');
+
+// "Pay at pickup": nothing is collected online, so bookings are confirmed with
+// the payment still pending and settled at the counter
+module.exports = {
+  name: 'cash',
+
+  checkoutOptions() {
+    return {};
+  },
+
+  async createOrder({ amount, currency = 'INR' }) {
+    return { id: `order_cash_${crypto.randomBytes(8).toString('hex')}`, amount, currency };
+  },
+
+  async verifyPayment() {
+    return { verified: true, paid: false };
+  },
+
+  async refund() {
+    throw httpError(400, 'Cash payments cannot be refunded online');
+  },
+
+  parseWebhook() {
+    throw httpError(404, 'Cash payments have no webhooks');
+  }
+};
@@ -0,0 +1,35 @@
+const razorpay = require('./razorpay');
+const mock = require('./mock');
+const cash = require('./cash');
+
+// Every provider implements: name, checkoutOptions(), createOrder(),
+// verifyPayment(), refund() and parseWebhook(). The mock gateway anyone can
+// sign for is only available when MOCK_PAYMENT_SECRET is set.
+const getProviders = () => ({
+  razorpay,
+  cash,
+  ...(process.env.MOCK_PAYMENT_SECRET ? { mock } : {})
+});
+
+// Names of the providers available in this deployment
+const getPaymentProviderNames = () => Object.keys(getProviders());
+
+// Providers whose webhooks are accepted: PAYMENT_WEBHOOK_PROVIDERS (comma
+// separated), defaulting to the configured provider
+const getWebhookProviderNames = () => {
+  return (process.env.PAYMENT_WEBHOOK_PROVIDERS || process.env.PAYMENT_PROVIDER || 'razorpay')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => getPaymentProviderNames().includes(name));
+};
+
+// Provider by name, or the one selected by PAYMENT_PROVIDER (default razorpay)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'razorpay') => {
+  const provider = getProviders()[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { getPaymentProvider, getPaymentProviderNames, getWebhookProviderNames };
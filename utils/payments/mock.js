@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const httpError = require('../httpError');
+
+// Deterministic in-process gateway for local development and tests. Payments
+// are "made" by signing `${orderId}|${paymentId}` with the mock secret, which
+// must be set (MOCK_PAYMENT_SECRET) for the gateway to be used at all.
+const getSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_SECRET;
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_SECRET is not set');
+  }
+  return secret;
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('hex');
+
+const orders = new Map();
+let sequence = 0;
+
+module.exports = {
+  name: 'mock',
+
+  checkoutOptions() {
+    return {};
+  },
+
+  async createOrder({ amount, currency = 'INR', receipt }) {
+    sequence += 1;
+    const order = { id: `order_mock_${sequence}`, amount, currency, receipt };
+    orders.set(order.id, order);
+    return { id: order.id, amount: order.amount, currency: order.currency };
+  },
+
+  // Signature a client would receive after paying the given order
+  signPayment(orderId, paymentId) {
+    return sign(`${orderId}|${paymentId}`);
+  },
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    const order = orders.get(orderId);
+    if (!order || signature !== sign(`${orderId}|${paymentId}`)) {
+      return { verified: false };
+    }
+    return { verified: true, paid: true, amountPaid: order.amount };
+  },
+
+  async refund(paymentId, { amount }) {
+    return { id: `rfnd_mock_${paymentId}_${amount}`, status: 'processed' };
+  },
+
+  // Mock webhooks carry an already-normalized event signed in X-Mock-Signature
+  parseWebhook(rawBody, headers) {
+    if (!rawBody || headers['x-mock-signature'] !== sign(rawBody)) {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+    return JSON.parse(rawBody.toString());
+  }
+};
@@ -0,0 +1,97 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto'); // For signature verification
+const httpError = require('../httpError');
+
+let client;
+
+// Created on first use so the app can start without Razorpay keys when another
+// provider is configured
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return client;
+};
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || expected.length !== received.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+// Razorpay webhook events mapped to the provider-neutral event types
+const WEBHOOK_EVENTS = {
+  'payment.captured': 'payment.captured',
+  'order.paid': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed'
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  checkoutOptions() {
+    return { key_id: process.env.RAZORPAY_KEY_ID };
+  },
+
+  async createOrder({ amount, currency = 'INR', receipt, notes }) {
+    const order = await getClient().orders.create({
+      amount, // amount in smallest currency unit (e.g., paise)
+      currency,
+      receipt,
+      payment_capture: 1, // auto capture payment
+      notes
+    });
+    return { id: order.id, amount: order.amount, currency: order.currency };
+  },
+
+  // Verify the signature returned by Razorpay Checkout and look up what was paid
+  async verifyPayment({ orderId, paymentId, signature }) {
+    const expectedSignature = hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`);
+    if (!signaturesMatch(expectedSignature, signature)) {
+      return { verified: false };
+    }
+
+    const payment = await getClient().payments.fetch(paymentId);
+    return { verified: true, paid: true, amountPaid: payment.amount };
+  },
+
+  async refund(paymentId, { amount, notes }) {
+    const refund = await getClient().payments.refund(paymentId, { amount, notes });
+    return { id: refund.id, status: refund.status === 'processed' ? 'processed' : 'pending' };
+  },
+
+  // Check the X-Razorpay-Signature header against the raw body and normalize the event
+  parseWebhook(rawBody, headers) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody || !signaturesMatch(hmac(secret, rawBody), headers['x-razorpay-signature'])) {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+
+    const { event, payload = {} } = JSON.parse(rawBody.toString());
+    const type = WEBHOOK_EVENTS[event];
+    if (!type) {
+      return null;
+    }
+
+    const payment = payload.payment?.entity || {};
+    const refund = payload.refund?.entity;
+
+    return {
+      type,
+      orderId: payment.order_id,
+      paymentId: refund ? refund.payment_id : payment.id,
+      amount: payment.amount,
+      refundId: refund?.id,
+      // The payment entity carries the total refunded so far, covering several refunds
+      amountRefunded: refund ? (payment.amount_refunded ?? refund.amount) : undefined
+    };
+  }
+};
@@ -0,0 +1,117 @@
+// What each staff role may do. Customers ("user") have no staff permissions
+// and admins have all of them
+const PERMISSIONS = [
+  'dashboard:read',
+  'cars:read',
+  'cars:write',
+  'cars:delete',
+  'maintenance:read',
+  'maintenance:write',
+  'bookings:read',
+  'bookings:write',
+  'bookings:refund',
+  'reviews:moderate',
+  'pricing:read',
+  'pricing:write',
+  'branches:read',
+  'branches:write',
+  'users:read',
+  'users:write',
+  'users:roles',
+  'audit:read',
+  'jobs:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: PERMISSIONS,
+  fleet_manager: [
+    'dashboard:read',
+    'cars:read',
+    'cars:write',
+    'maintenance:read',
+    'maintenance:write',
+    'bookings:read',
+    'branches:read'
+  ],
+  branch_operator: [
+    'cars:read',
+    'maintenance:read',
+    'bookings:read',
+    'bookings:write',
+    'branches:read'
+  ],
+  support: [
+    'cars:read',
+    'bookings:read',
+    'bookings:write',
+    'reviews:moderate',
+    'users:read'
+  ],
+  finance: [
+    'dashboard:read',
+    'bookings:read',
+    'bookings:refund',
+    'pricing:read',
+    'pricing:write',
+    'users:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that only see cars and bookings of the branches assigned to them
+const BRANCH_SCOPED_ROLES = ['branch_operator'];
+
+const hasPermission = (user, permission) => {
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+// IDs of the branches a user is limited to, or null when not branch-scoped
+const getBranchScope = (user) => {
+  return BRANCH_SCOPED_ROLES.includes(user.role)
+    ? (user.branches || []).map(branch => branch.toString())
+    : null;
+};
+
+// Query conditions restricting bookings or cars to a branch scope
+const bookingScopeFilter = (scope) => {
+  return scope
+    ? { $or: [{ pickupBranch: { $in: scope } }, { dropoffBranch: { $in: scope } }] }
+    : {};
+};
+
+const carScopeFilter = (scope) => {
+  return scope
+    ? { $or: [{ currentBranch: { $in: scope } }, { homeBranch: { $in: scope } }] }
+    : {};
+};
+
+const isBookingInScope = (booking, scope) => {
+  return !scope || [booking.pickupBranch, booking.dropoffBranch]
+    .some(branch => branch && scope.includes((branch._id || branch).toString()));
+};
+
+const isCarInScope = (car, scope) => {
+  return !scope || [car.currentBranch, car.homeBranch]
+    .some(branch => branch && scope.includes((branch._id || branch).toString()));
+};
+
+// Whether a staff member may act on a booking with the given permission
+const canAccessBooking = (user, booking, permission) => {
+  return hasPermission(user, permission) && isBookingInScope(booking, getBranchScope(user));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  BRANCH_SCOPED_ROLES,
+  hasPermission,
+  getBranchScope,
+  bookingScopeFilter,
+  carScopeFilter,
+  isBookingInScope,
+  isCarInScope,
+  canAccessBooking
+};
@@ -0,0 +1,195 @@
+const PricingRule = require('../models/PricingRule');
+const httpError = require('./httpError');
+const { DAY_MS, toBusinessDate, addDays, combineDateTime } = require('./dates');
+
+const HOUR_MS = 1000 * 60 * 60;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const appliesToType = (rule, bookingType) => {
+  return !rule.bookingTypes || rule.bookingTypes.length === 0 || rule.bookingTypes.includes(bookingType);
+};
+
+// Start and end instants of the requested rental; daily rentals cover the
+// whole start and end days in the business timezone
+const getRentalPeriod = ({ startDate, endDate, startTime, endTime, bookingType }) => {
+  if (bookingType === 'daily') {
+    return {
+      start: combineDateTime(startDate, '00:00'),
+      end: combineDateTime(addDays(toBusinessDate(endDate), 1), '00:00')
+    };
+  }
+  return {
+    start: combineDateTime(startDate, startTime),
+    end: combineDateTime(endDate, endTime)
+  };
+};
+
+// Number of billing units of the rental whose start lies in [from, to)
+const countUnitStarts = (start, unitMs, duration, from, to) => {
+  const first = Math.max(0, Math.ceil((from - start) / unitMs));
+  const last = Math.min(duration, Math.ceil((to - start) / unitMs));
+  return Math.max(0, last - first);
+};
+
+// Business-timezone calendar days on which billing units start, with their
+// bounds, so rules are checked once per day rather than once per unit
+const getBilledDays = (start, unitMs, duration) => {
+  const days = [];
+  if (duration <= 0) {
+    return days;
+  }
+  const lastDay = toBusinessDate(new Date(start.getTime() + (duration - 1) * unitMs).toISOString());
+  for (let day = toBusinessDate(start.toISOString()); day <= lastDay; day = addDays(day, 1)) {
+    days.push({
+      date: day,
+      weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+      from: combineDateTime(day, '00:00'),
+      to: combineDateTime(addDays(day, 1), '00:00')
+    });
+  }
+  return days;
+};
+
+// Billing units a surcharge rule covers, judged by the wall clock in the
+// business timezone at the start of each unit
+const countCoveredUnits = (rule, days, start, unitMs, duration, unitType) => {
+  const countIn = (from, to) => countUnitStarts(start, unitMs, duration, from, to);
+
+  return days.reduce((units, day) => {
+    switch (rule.type) {
+      case 'weekend_surcharge': {
+        const weekdays = rule.daysOfWeek && rule.daysOfWeek.length ? rule.daysOfWeek : [0, 6];
+        return weekdays.includes(day.weekday) ? units + countIn(day.from, day.to) : units;
+      }
+      case 'holiday_surcharge':
+        return (rule.dates || []).includes(day.date) ? units + countIn(day.from, day.to) : units;
+      case 'peak_hour': {
+        if (unitType !== 'hourly') {
+          return units;
+        }
+        if (rule.daysOfWeek && rule.daysOfWeek.length && !rule.daysOfWeek.includes(day.weekday)) {
+          return units;
+        }
+        const startHour = rule.startHour ?? 0;
+        const endHour = rule.endHour ?? 24;
+        if (endHour <= startHour) {
+          return units;
+        }
+        const from = combineDateTime(day.date, `${startHour}:00`);
+        const to = endHour >= 24 ? day.to : combineDateTime(day.date, `${endHour}:00`);
+        return units + countIn(from, to);
+      }
+      default:
+        return units;
+    }
+  }, 0);
+};
+
+// Price the period billed in hourly or daily units
+const priceInUnits = (car, start, end, unitType, rules) => {
+  const unitMs = unitType === 'daily' ? DAY_MS : HOUR_MS;
+  const rate = unitType === 'daily' ? car.pricePerDay : car.pricePerHour;
+  const actualDuration = Math.ceil((end - start) / unitMs);
+
+  // Minimum billable duration
+  const minimum = rules
+    .filter(rule => rule.type === 'minimum_duration' && appliesToType(rule, unitType))
+    .reduce((min, rule) => Math.max(min, (unitType === 'daily' ? rule.minDays : rule.minHours) || 0), 0);
+  const duration = Math.max(actualDuration, minimum);
+
+  const items = [{
+    label: `${duration} ${unitType === 'daily' ? 'day' : 'hour'}${duration === 1 ? '' : 's'} × ₹${rate}`,
+    amount: roundAmount(duration * rate)
+  }];
+
+  // Surcharges, charged per billing unit the rule covers
+  const surcharges = rules
+    .filter(rule => ['weekend_surcharge', 'holiday_surcharge', 'peak_hour'].includes(rule.type))
+    .filter(rule => appliesToType(rule, unitType));
+  const days = surcharges.length ? getBilledDays(start, unitMs, duration) : [];
+  surcharges.forEach(rule => {
+    const units = countCoveredUnits(rule, days, start, unitMs, duration, unitType);
+    if (units > 0) {
+      items.push({
+        label: `${rule.name} (+${rule.adjustmentPercent}% on ${units} ${unitType === 'daily' ? 'day' : 'hour'}${units === 1 ? '' : 's'})`,
+        amount: roundAmount(units * rate * rule.adjustmentPercent / 100)
+      });
+    }
+  });
+
+  // Best long-rental discount the rental qualifies for
+  const rentalDays = (duration * unitMs) / DAY_MS;
+  const discount = rules
+    .filter(rule => rule.type === 'long_rental_discount' && appliesToType(rule, unitType))
+    .filter(rule => rentalDays >= (rule.minDays || 0))
+    .sort((a, b) => b.adjustmentPercent - a.adjustmentPercent)[0];
+
+  if (discount) {
+    const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+    items.push({
+      label: `${discount.name} (-${discount.adjustmentPercent}%)`,
+      amount: -roundAmount(subtotal * discount.adjustmentPercent / 100)
+    });
+  }
+
+  const totalAmount = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+  return { bookingType: unitType, duration, rate, items, totalAmount };
+};
+
+// Fee for returning the car to a different branch than it was picked up from
+const getOneWayDropFee = () => {
+  const fee = parseFloat(process.env.ONE_WAY_DROP_FEE);
+  return isNaN(fee) ? 500 : fee;
+};
+
+// Longest rental that can be priced or booked
+const getMaxRentalDays = () => parseInt(process.env.MAX_RENTAL_DAYS, 10) || 90;
+
+// Check the requested times themselves, before any pricing: a daily period
+// always spans whole days, a minimum duration would price an empty range, and
+// an unbounded one would take ever longer to price
+const checkRentalPeriod = ({ startDate, endDate, startTime, endTime }) => {
+  const start = combineDateTime(startDate, startTime);
+  const end = combineDateTime(endDate, endTime);
+  if (!(end > start)) {
+    throw httpError(400, 'End date and time must be after start date and time');
+  }
+  if (end - start > getMaxRentalDays() * DAY_MS) {
+    throw httpError(400, `Rentals cannot be longer than ${getMaxRentalDays()} days`);
+  }
+};
+
+// Price a rental with the given rules. Hourly rentals switch to the daily rate
+// when that works out cheaper; one-way rentals (`details.oneWay`) add the drop fee.
+const calculatePrice = (car, details, rules = []) => {
+  checkRentalPeriod(details);
+
+  const { start, end } = getRentalPeriod(details);
+  let quote = priceInUnits(car, start, end, details.bookingType, rules);
+  let switchedToDailyRate = false;
+
+  if (details.bookingType === 'hourly' && quote.duration > 0) {
+    const dailyQuote = priceInUnits(car, start, end, 'daily', rules);
+    if (dailyQuote.totalAmount < quote.totalAmount) {
+      quote = dailyQuote;
+      switchedToDailyRate = true;
+    }
+  }
+
+  const dropFee = getOneWayDropFee();
+  if (details.oneWay && dropFee > 0 && quote.totalAmount > 0) {
+    quote.items.push({ label: 'One-way drop fee', amount: dropFee });
+    quote.totalAmount = roundAmount(quote.totalAmount + dropFee);
+  }
+
+  return { ...quote, requestedBookingType: details.bookingType, switchedToDailyRate };
+};
+
+// Price a rental with the active admin-managed rules
+const getQuote = async (car, details) => {
+  const rules = await PricingRule.find({ isActive: true }).lean();
+  return calculatePrice(car, details, rules);
+};
+
+module.exports = { checkRentalPeriod, calculatePrice, getQuote };
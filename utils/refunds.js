@@ -0,0 +1,82 @@
+const { getPaymentProvider } = require('./payments');
+const httpError = require('./httpError');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sum = (items) => roundAmount(items.reduce((total, item) => total + item.amount, 0));
+
+// Payments made for a booking and what is still refundable on each, newest
+// first. Besides the original payment, a booking may have extra payments for
+// changes that cost more; surplus refunds of changes come out of these. The
+// original payment covered the current total minus what changes added, plus
+// the surplus changes took off, whether or not that refund went through.
+const getRefundablePayments = (booking) => {
+  const modifications = booking.modifications || [];
+  const refunds = modifications.flatMap(modification => modification.refunds || []);
+  const issuedRefunds = refunds.filter(refund => refund.status !== 'failed');
+  const extraPayments = modifications
+    .filter(modification => modification.razorpayPaymentId && modification.difference > 0)
+    .map(modification => ({
+      paymentId: modification.razorpayPaymentId,
+      provider: modification.paymentProvider,
+      amount: modification.difference
+    }));
+
+  const payments = [];
+  if (booking.razorpayPaymentId) {
+    payments.push({
+      paymentId: booking.razorpayPaymentId,
+      provider: booking.paymentProvider,
+      amount: roundAmount(booking.totalAmount - sum(extraPayments) + sum(refunds))
+    });
+  }
+  payments.push(...extraPayments);
+
+  return payments
+    .map(payment => ({
+      ...payment,
+      refundable: roundAmount(payment.amount - sum(issuedRefunds.filter(refund => refund.paymentId === payment.paymentId)))
+    }))
+    .filter(payment => payment.refundable > 0)
+    .reverse();
+};
+
+// Split a refund of the amount over the booking's payments, newest first,
+// without sending anything
+const planRefunds = (booking, amount) => {
+  const payments = getRefundablePayments(booking);
+  if (roundAmount(payments.reduce((total, payment) => total + payment.refundable, 0)) < amount) {
+    throw httpError(400, 'The amount cannot be refunded online; please contact the branch');
+  }
+
+  const planned = [];
+  let remaining = amount;
+  for (const payment of payments) {
+    if (remaining <= 0) {
+      break;
+    }
+    const part = Math.min(remaining, payment.refundable);
+    planned.push({ paymentId: payment.paymentId, provider: payment.provider, amount: part });
+    remaining = roundAmount(remaining - part);
+  }
+  return planned;
+};
+
+// Send one planned refund through its payment provider
+const sendRefund = async ({ paymentId, provider, amount }, notes = {}) => {
+  const refund = await getPaymentProvider(provider).refund(paymentId, {
+    amount: Math.round(amount * 100), // amount in paise
+    notes
+  });
+
+  return {
+    paymentId,
+    razorpayRefundId: refund.id,
+    amount,
+    status: refund.status,
+    requestedAt: new Date(),
+    processedAt: refund.status === 'processed' ? new Date() : undefined
+  };
+};
+
+module.exports = { getRefundablePayments, planRefunds, sendRefund };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const httpError = require('./httpError');
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+const getRefreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>", so the session can be found even
+// from a token that has already been rotated away
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: getAccessTokenTtl() });
+};
+
+const tokensFor = (session, secret) => ({
+  token: generateAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: getAccessTokenTtl()
+});
+
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+// Start a session for a user who has just logged in or registered
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000)
+  });
+  return { session, ...tokensFor(session, secret) };
+};
+
+// Exchange a refresh token for a new access and refresh token. A token that
+// was already rotated means it was copied, so the whole session is revoked
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  const secret = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: hashToken(parsed.secret),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { tokenHash: hashToken(secret), lastUsedAt: new Date(), ...clientInfo(req) },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected, revoked session ${reused._id} of user ${reused.user}`);
+    }
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'account_deactivated');
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  return { session, ...tokensFor(session, secret) };
+};
+
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const isSessionActive = (sessionId) => {
+  return Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,52 @@
+const { v2: cloudinary } = require('cloudinary');
+
+const THUMBNAIL_WIDTH = 320;
+
+let configured = false;
+
+// Configured on first use so the app can start without Cloudinary credentials
+// when local storage is used
+const getClient = () => {
+  if (!configured) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true
+    });
+    configured = true;
+  }
+  return cloudinary;
+};
+
+module.exports = {
+  name: 'cloudinary',
+
+  // Upload the image; the thumbnail is a Cloudinary transformation of it, so
+  // the key is the public ID
+  save(buffer, { folder }) {
+    const client = getClient();
+    return new Promise((resolve, reject) => {
+      client.uploader.upload_stream({ folder, resource_type: 'image' }, (error, result) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve({
+          key: result.public_id,
+          url: result.secure_url,
+          thumbnailUrl: client.url(result.public_id, {
+            secure: true,
+            width: THUMBNAIL_WIDTH,
+            crop: 'limit',
+            fetch_format: 'auto',
+            quality: 'auto'
+          })
+        });
+      }).end(buffer);
+    });
+  },
+
+  async remove({ key }) {
+    await getClient().uploader.destroy(key, { resource_type: 'image' });
+  }
+};
@@ -0,0 +1,21 @@
+const local = require('./local');
+const cloudinary = require('./cloudinary');
+
+// Every backend implements: name, save() and remove()
+const backends = { local, cloudinary };
+
+const STORAGE_BACKENDS = Object.keys(backends);
+
+// Backend by name, or the one selected by IMAGE_STORAGE (default local)
+const getStorage = (name = process.env.IMAGE_STORAGE || 'local') => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown image storage: ${name}`);
+  }
+  return backend;
+};
+
+// Delete a stored car image from the backend it was saved to
+const removeImage = (image) => getStorage(image.storage).remove(image);
+
+module.exports = { getStorage, removeImage, STORAGE_BACKENDS };
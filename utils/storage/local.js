@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const THUMBNAIL_WIDTH = 320;
+
+// Files are written under UPLOAD_DIR and served by the app at /uploads
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const toUrl = (key) => `/uploads/${key}`;
+
+module.exports = {
+  name: 'local',
+
+  // Store the image and a thumbnail resized with sharp; keys are paths
+  // relative to the upload directory
+  async save(buffer, { folder }) {
+    const name = crypto.randomBytes(12).toString('hex');
+    const extension = (await sharp(buffer).metadata()).format;
+    const key = `${folder}/${name}.${extension}`;
+    const thumbnailKey = `${folder}/${name}_thumb.webp`;
+
+    await fs.mkdir(path.join(getUploadDir(), folder), { recursive: true });
+    await Promise.all([
+      fs.writeFile(path.join(getUploadDir(), key), buffer),
+      sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp()
+        .toFile(path.join(getUploadDir(), thumbnailKey))
+    ]);
+
+    return { key, url: toUrl(key), thumbnailKey, thumbnailUrl: toUrl(thumbnailKey) };
+  },
+
+  async remove({ key, thumbnailKey }) {
+    await Promise.all([key, thumbnailKey].filter(Boolean).map(file => (
+      fs.rm(path.join(getUploadDir(), file), { force: true })
+    )));
+  },
+
+  getUploadDir
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: () => Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60,
+  email_change: () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token of the given type, replacing any unused one the user already
+// has. Returns the raw token, which is only ever sent to the user
+const createUserToken = async (user, type, { email } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.deleteMany({ user: user._id, type, usedAt: { $exists: false } });
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type]() * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a valid token of the given type(s) as used and return it, or null if it
+// is unknown, expired or already used. The update is atomic, so a token works
+// only once
+const consumeUserToken = (token, types) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type: { $in: [].concat(types) },
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// When the user was last sent a token of the given type
+const lastTokenSentAt = async (user, type) => {
+  const token = await UserToken.findOne({ user: user._id, type }).sort({ createdAt: -1 });
+  return token ? token.createdAt : null;
+};
+
+module.exports = { createUserToken, consumeUserToken, lastTokenSentAt };
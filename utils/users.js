@@ -0,0 +1,12 @@
+const User = require('../models/User');
+
+// Whether the user is the only active admin left
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+  const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+  return otherAdmins === 0;
+};
+
+module.exports = { isLastActiveAdmin };